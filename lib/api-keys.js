@@ -0,0 +1,324 @@
+const crypto = require("crypto");
+
+// API keys look like hd_<id>_<secret>. Redis holds only a SHA-256 of the full
+// key under apikey:<id>, the set of ids in `apikeys`, and usage counters under
+// apikey:usage:<id>:day:<YYYY-MM-DD> / :month:<YYYY-MM>.
+
+const SCOPES = ['self', 'lookup', 'batch', 'admin'];
+const ANONYMOUS_SCOPES = ['self'];
+const KEY_PREFIX = 'hd';
+
+function hashKey(key) {
+	return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// API key from `Authorization: Bearer <key>` or `X-API-Key: <key>`
+function extractApiKey(req) {
+	const authorization = req.headers.authorization || '';
+	const bearer = authorization.match(/^Bearer\s+(\S+)$/i);
+	return bearer ? bearer[1] : req.headers['x-api-key'] || null;
+}
+
+function usageKeys(id, date) {
+	const day = date.toISOString().slice(0, 10);
+	return {
+		day: `apikey:usage:${id}:day:${day}`,
+		month: `apikey:usage:${id}:month:${day.slice(0, 7)}`
+	};
+}
+
+// Public view of a stored key; never includes the hash
+function describeKey(record, usage) {
+	const { hash, ...rest } = record;
+	return usage ? { ...rest, usage } : rest;
+}
+
+function createApiKeyStore({ redisClient, logger, bootstrapAdminKey = null, now = () => new Date() }) {
+	const bootstrapHash = bootstrapAdminKey ? hashKey(bootstrapAdminKey) : null;
+
+	function validateSpec({ name, scopes, quotas = {} }) {
+		if (typeof name !== 'string' || name.trim() === '' || name.length > 100) {
+			return 'name must be a non-empty string of at most 100 characters';
+		}
+		if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(scope => SCOPES.includes(scope))) {
+			return `scopes must be a non-empty array of: ${SCOPES.join(', ')}`;
+		}
+		for (const period of ['daily', 'monthly']) {
+			const quota = quotas[period];
+			if (quota !== undefined && quota !== null && (!Number.isInteger(quota) || quota < 1)) {
+				return `quotas.${period} must be a positive integer or null`;
+			}
+		}
+		return null;
+	}
+
+	async function create(spec) {
+		const id = crypto.randomBytes(6).toString('hex');
+		const key = `${KEY_PREFIX}_${id}_${crypto.randomBytes(24).toString('base64url')}`;
+		const record = {
+			id,
+			name: spec.name.trim(),
+			scopes: [...new Set(spec.scopes)],
+			quotas: {
+				daily: spec.quotas?.daily ?? null,
+				monthly: spec.quotas?.monthly ?? null
+			},
+			createdAt: now().toISOString(),
+			revokedAt: null,
+			hash: hashKey(key)
+		};
+
+		await redisClient.multi()
+			.set(`apikey:${id}`, JSON.stringify(record))
+			.sAdd('apikeys', id)
+			.exec();
+
+		logger.info({
+			event: 'api_key_created',
+			apiKeyId: id,
+			apiKeyName: record.name,
+			scopes: record.scopes
+		}, `API key ${id} created`);
+
+		return { key, ...describeKey(record) };
+	}
+
+	async function read(id) {
+		const raw = await redisClient.get(`apikey:${id}`);
+		return raw ? JSON.parse(raw) : null;
+	}
+
+	async function usage(id) {
+		const keys = usageKeys(id, now());
+		const [day, month] = await redisClient.mGet([keys.day, keys.month]);
+		return { today: Number(day || 0), thisMonth: Number(month || 0) };
+	}
+
+	// Public view of one key with its current usage, or null
+	async function get(id) {
+		const record = await read(id);
+		return record ? describeKey(record, await usage(id)) : null;
+	}
+
+	async function list() {
+		const ids = await redisClient.sMembers('apikeys');
+		if (ids.length === 0) return [];
+		const raws = await redisClient.mGet(ids.map(id => `apikey:${id}`));
+		const records = raws.filter(Boolean).map(raw => JSON.parse(raw));
+		const usages = await Promise.all(records.map(record => usage(record.id)));
+		return records
+			.map((record, index) => describeKey(record, usages[index]))
+			.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+	}
+
+	async function revoke(id) {
+		const record = await read(id);
+		if (!record) return null;
+		if (!record.revokedAt) {
+			record.revokedAt = now().toISOString();
+			await redisClient.set(`apikey:${id}`, JSON.stringify(record));
+			logger.info({
+				event: 'api_key_revoked',
+				apiKeyId: id,
+				apiKeyName: record.name
+			}, `API key ${id} revoked`);
+		}
+		return describeKey(record);
+	}
+
+	// Resolve a presented key to { id, name, scopes, quotas } or { error, status }
+	async function verify(key) {
+		const presentedHash = hashKey(key);
+
+		if (bootstrapHash && crypto.timingSafeEqual(Buffer.from(presentedHash), Buffer.from(bootstrapHash))) {
+			return { id: 'bootstrap-admin', name: 'ADMIN_API_KEY', scopes: [...SCOPES], quotas: { daily: null, monthly: null } };
+		}
+
+		const match = key.match(new RegExp(`^${KEY_PREFIX}_([0-9a-f]{12})_[A-Za-z0-9_-]+$`));
+		if (!match) return { error: 'Malformed API key', status: 401 };
+
+		if (!redisClient.isReady) {
+			return { error: 'API key validation is temporarily unavailable', status: 503 };
+		}
+
+		const record = await read(match[1]);
+		if (!record || !crypto.timingSafeEqual(Buffer.from(presentedHash), Buffer.from(record.hash))) {
+			return { error: 'Unknown API key', status: 401 };
+		}
+		if (record.revokedAt) {
+			return { error: 'API key has been revoked', status: 401 };
+		}
+		return { id: record.id, name: record.name, scopes: record.scopes, quotas: record.quotas };
+	}
+
+	// Count `cost` lookups against the key's daily and monthly quotas; rejected requests are not counted
+	async function consumeQuota(auth, cost = 1) {
+		if (!auth.quotas || auth.id === 'bootstrap-admin' || !redisClient.isReady) {
+			return { allowed: true };
+		}
+
+		const keys = usageKeys(auth.id, now());
+		const [day, , month] = await redisClient.multi()
+			.incrBy(keys.day, cost)
+			.expire(keys.day, 2 * 24 * 60 * 60)
+			.incrBy(keys.month, cost)
+			.expire(keys.month, 32 * 24 * 60 * 60)
+			.exec();
+
+		const exceeded = auth.quotas.daily && day > auth.quotas.daily ? 'daily'
+			: auth.quotas.monthly && month > auth.quotas.monthly ? 'monthly'
+				: null;
+
+		if (exceeded) {
+			await refundQuota(auth, cost);
+			return { allowed: false, period: exceeded, limit: auth.quotas[exceeded] };
+		}
+		return { allowed: true, usage: { today: day, thisMonth: month } };
+	}
+
+	// Take back lookups counted for a request that was then rejected
+	async function refundQuota(auth, cost) {
+		if (!auth.quotas || auth.id === 'bootstrap-admin' || !redisClient.isReady) return;
+
+		const keys = usageKeys(auth.id, now());
+		await redisClient.multi().decrBy(keys.day, cost).decrBy(keys.month, cost).exec();
+	}
+
+	return { validateSpec, create, get, list, revoke, usage, verify, consumeQuota, refundQuota };
+}
+
+// Attach req.auth: anonymous callers get ANONYMOUS_SCOPES; bad keys are recorded
+// here and rejected by enforceApiKey so that the rate limiter still sees them.
+function authenticate({ store, logger }) {
+	return async function authenticateRequest(req, res, next) {
+		const key = extractApiKey(req);
+		if (!key) {
+			req.auth = { anonymous: true, scopes: ANONYMOUS_SCOPES };
+			return next();
+		}
+
+		try {
+			const result = await store.verify(key);
+			req.auth = result.error
+				? { anonymous: true, scopes: ANONYMOUS_SCOPES, rejected: result }
+				: { anonymous: false, ...result };
+		} catch (err) {
+			logger.error({
+				event: 'api_key_verification_error',
+				error: err.message
+			}, 'API key verification failed');
+			req.auth = { anonymous: true, scopes: ANONYMOUS_SCOPES, rejected: { error: 'API key validation failed', status: 503 } };
+		}
+		next();
+	};
+}
+
+// Reject invalid keys and account usage against quotas. Each request counts as one
+// lookup up front; routes that look up many addresses count the rest through chargeQuota().
+function enforceApiKey({ store, logger, metrics, exemptPaths = [] }) {
+	const exempt = new Set(exemptPaths);
+
+	// Count `cost` lookups for a keyed request. Resolves true when allowed; otherwise
+	// sends the 429 and resolves false. `refund` lookups already counted are taken back.
+	async function charge(req, res, cost, refund = 0) {
+		try {
+			const quota = await store.consumeQuota(req.auth, cost);
+			metrics?.apiKeyRequests.inc({ api_key: req.auth.id, allowed: String(quota.allowed) });
+			if (quota.allowed) return true;
+
+			if (refund > 0) await store.refundQuota(req.auth, refund);
+			logger.warn({
+				event: 'api_key_quota_exceeded',
+				apiKeyId: req.auth.id,
+				period: quota.period,
+				limit: quota.limit,
+				cost
+			}, `API key ${req.auth.id} exceeded its ${quota.period} quota`);
+
+			res.status(429).json({
+				error: {
+					code: 'quota_exceeded',
+					message: `The ${quota.period} quota of ${quota.limit} lookups for this API key is used up`,
+					period: quota.period,
+					limit: quota.limit
+				}
+			});
+			return false;
+		} catch (err) {
+			logger.warn({
+				event: 'api_key_usage_error',
+				apiKeyId: req.auth.id,
+				error: err.message
+			}, 'Failed to record API key usage - allowing request');
+			return true;
+		}
+	}
+
+	return async function enforceApiKeyRequest(req, res, next) {
+		if (exempt.has(req.path)) return next();
+
+		if (req.auth.rejected) {
+			logger.warn({
+				event: 'api_key_rejected',
+				reason: req.auth.rejected.error,
+				method: req.method,
+				url: req.url
+			}, `API key rejected: ${req.auth.rejected.error}`);
+
+			if (req.auth.rejected.status === 401) res.setHeader('WWW-Authenticate', 'Bearer');
+			return res.status(req.auth.rejected.status).json({
+				error: {
+					code: req.auth.rejected.status === 401 ? 'invalid_api_key' : 'auth_unavailable',
+					message: req.auth.rejected.error
+				}
+			});
+		}
+
+		if (req.auth.anonymous) return next();
+
+		// A request turned away for its extra lookups isn't counted at all
+		res.locals.chargeQuota = cost => charge(req, res, cost, 1);
+		if (await charge(req, res, 1)) next();
+	};
+}
+
+// Count `cost` more lookups against the caller's API key quota. Resolves false once
+// the 429 has been sent; true when allowed, anonymous or exempt.
+async function chargeQuota(res, cost) {
+	if (!res.locals.chargeQuota || cost <= 0) return true;
+	return res.locals.chargeQuota(cost);
+}
+
+// Route guard: 401 for anonymous callers, 403 for keys without the scope
+function requireScope(scope) {
+	return function requireScopeRequest(req, res, next) {
+		if (req.auth?.scopes?.includes(scope)) return next();
+
+		if (!req.auth || req.auth.anonymous) {
+			res.setHeader('WWW-Authenticate', 'Bearer');
+			return res.status(401).json({
+				error: {
+					code: 'authentication_required',
+					message: `This endpoint requires an API key with the "${scope}" scope`
+				}
+			});
+		}
+		return res.status(403).json({
+			error: {
+				code: 'insufficient_scope',
+				message: `API key ${req.auth.id} lacks the "${scope}" scope`,
+				requiredScope: scope
+			}
+		});
+	};
+}
+
+module.exports = {
+	SCOPES,
+	chargeQuota,
+	extractApiKey,
+	createApiKeyStore,
+	authenticate,
+	enforceApiKey,
+	requireScope
+};
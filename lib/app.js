@@ -0,0 +1,1858 @@
+const express = require("express");
+const net = require("net");
+const path = require("path");
+const pinoHttp = require("pino-http");
+const { authenticate, chargeQuota, createApiKeyStore, enforceApiKey, requireScope } = require("./api-keys");
+const { createAsnDatabase } = require("./asn");
+const { NO_DATA_CODES, RECORD_TYPES } = require("./resolver");
+const { networkOf } = require("./cidr");
+const { CACHE_NAMESPACES, createTieredCache, decodeEntry, globToRegExp, namespaceOf } = require("./cache");
+const { createClientIpResolver, expandTrustedProxies } = require("./client-ip");
+const { contentSecurityPolicy, generateDnsHTML, generateHTML, generateHeadersHTML } = require("./html");
+const { classifyAddress, normalizeAddress } = require("./ip-classification");
+const { greatCircle, hasCoordinates, localTimeIn, parseReferencePoint } = require("./location");
+const { createIpReputation } = require("./ip-reputation");
+const { ACCEPT_CH, describeTransport, parseClientHints, rawHeaders } = require("./request-headers");
+const { mapWithConcurrency } = require("./concurrency");
+const { FORMATS, negotiateFormat, projectFields, serialize } = require("./formats");
+const { createMetrics } = require("./metrics");
+const { bucketFromEnv, chargeRateLimit, createRateLimiter, rateLimitMiddleware } = require("./rate-limit");
+const { parseUserAgent } = require("./user-agent-parser");
+const { OVERFLOW_MEMBER, createUserAgentStore, parseSince } = require("./user-agents");
+
+// The HTTP app and its lookups, with every external dependency passed in. index.js
+// wires it to Redis, the configured providers and a listening socket; tests use
+// in-memory stand-ins.
+
+// Redis client that never connects: API keys, rate limits and user agent counts
+// fall back to their in-memory or unavailable paths
+const DISCONNECTED_REDIS = { isReady: false, isOpen: false };
+
+// App settings from the environment; createApp uses the defaults (appConfigFromEnv({})) when none are given
+function appConfigFromEnv(env = process.env) {
+	return {
+		// Proxies allowed to report the client address (CIDRs or presets: loopback, private, linklocal, cloudflare)
+		TRUSTED_PROXIES: expandTrustedProxies(env.TRUSTED_PROXIES || 'loopback,private'),
+		// The one header those proxies write the client address to; any other forwarding header came from the client
+		TRUSTED_PROXY_HEADER: env.TRUSTED_PROXY_HEADER || 'x-forwarded-for',
+
+		// Static key with every scope, for bootstrapping the first keys in Redis
+		ADMIN_API_KEY: env.ADMIN_API_KEY || null,
+
+		// Token-bucket limits: `capacity` is the burst size, refilled at `refillPerSecond`
+		RATE_LIMIT: {
+			ENABLED: env.RATE_LIMIT_ENABLED !== 'false',
+			IP: bucketFromEnv(env, 'RATE_LIMIT_IP', { capacity: 60, refillPerSecond: 1 }),
+			API_KEY: bucketFromEnv(env, 'RATE_LIMIT_KEY', { capacity: 600, refillPerSecond: 10 }),
+			// Health and metrics scrapes are never limited
+			EXEMPT_PATHS: ['/health', '/alb-health-check', '/livez', '/readyz', '/metrics']
+		},
+
+		READINESS: {
+			REQUIRE_REDIS: env.READYZ_REQUIRE_REDIS === 'true',
+			REDIS_TIMEOUT_MS: parseInt(env.READYZ_REDIS_TIMEOUT_MS || '500')
+		},
+
+		// POST /batch and POST /admin/cache/warm limits; CONCURRENCY also bounds a hostname's lookups in /:target
+		BATCH: {
+			MAX_SIZE: parseInt(env.BATCH_MAX_SIZE || '100'),
+			TARGET_MAX_ADDRESSES: parseInt(env.TARGET_MAX_ADDRESSES || '16'),
+			WARM_MAX_SIZE: parseInt(env.CACHE_WARM_MAX_SIZE || '1000'),
+			CONCURRENCY: parseInt(env.BATCH_CONCURRENCY || '8')
+		},
+
+		// Distinct user agents kept per day, and days of history
+		USER_AGENTS: {
+			MAX_TRACKED: parseInt(env.UA_MAX_TRACKED || '10000'),
+			RETENTION_DAYS: parseInt(env.UA_RETENTION_DAYS || '30')
+		},
+
+		CACHE_TTL: {
+			DNS: parseInt(env.CACHE_TTL_DAYS || '30') * 24 * 60 * 60, // Default 30 days for DNS
+			GEO: parseInt(env.CACHE_TTL_DAYS || '30') * 24 * 60 * 60,  // Default 30 days for geolocation
+			ASN: parseInt(env.CACHE_TTL_ASN_HOURS || '24') * 60 * 60, // Default 24 hours, matching daily dataset updates
+			// /dns/:name answers follow the record TTL, within these bounds
+			DNS_QUERY_DEFAULT: parseInt(env.DNS_QUERY_DEFAULT_TTL_SECONDS || '300'), // Records without a reported TTL
+			DNS_QUERY_MAX: parseInt(env.DNS_QUERY_MAX_TTL_SECONDS || '3600'),
+			DNS_QUERY_NEGATIVE: parseInt(env.DNS_QUERY_NEGATIVE_TTL_SECONDS || '60'), // NXDOMAIN and empty answers
+			NEGATIVE: parseInt(env.CACHE_NEGATIVE_TTL_HOURS || '24') * 60 * 60 // Default 24 hours for failed lookups
+		},
+
+		// In-process LRU in front of Redis; expired entries are served for STALE_TTL seconds while they refresh
+		MEMORY_CACHE: {
+			MAX_ENTRIES: parseInt(env.MEMORY_CACHE_MAX_ENTRIES || '5000'),
+			STALE_TTL: parseInt(env.CACHE_STALE_TTL_SECONDS || '3600')
+		},
+
+		// IPv6 geolocation and ASN entries are shared by every address in this prefix; 128 caches per address
+		CACHE_IPV6_PREFIX: parseInt(env.CACHE_IPV6_PREFIX || '128'),
+
+		// With v4.<domain> and v6.<domain> each pointing at one address family, the HTML page shows both client addresses
+		DUAL_STACK_DOMAIN: env.DUAL_STACK_DOMAIN || null,
+
+		// Lookups report their distance and bearing from this point ("lat,lon"); unset leaves `distance` null
+		DISTANCE_REFERENCE: parseReferencePoint(env.DISTANCE_REFERENCE, env.DISTANCE_REFERENCE_NAME)
+	};
+}
+
+// Validate a lookup target from the URL: an IPv4/IPv6 literal or a DNS hostname
+function parseLookupTarget(rawTarget) {
+	if (typeof rawTarget !== 'string' || rawTarget.length === 0) {
+		return { error: 'Target is required' };
+	}
+
+	// Allow bracketed IPv6 literals, e.g. /[2001:db8::1]
+	let target = rawTarget.trim();
+	if (target.startsWith('[') && target.endsWith(']')) {
+		target = target.slice(1, -1);
+	}
+
+	// Zone IDs are only meaningful on the local host
+	if (target.includes('%')) {
+		return { error: 'IPv6 zone identifiers are not supported' };
+	}
+
+	if (net.isIP(target)) {
+		// ::ffff:8.8.8.8 is looked up as 8.8.8.8
+		const value = normalizeAddress(target);
+		return { type: 'ip', value, family: net.isIP(value) };
+	}
+
+	const hostname = target.toLowerCase().replace(/\.$/, '');
+	const labels = hostname.split('.');
+	const labelPattern = /^(?!-)[a-z0-9-]{1,63}(?<!-)$/;
+
+	if (hostname.length > 253) {
+		return { error: 'Hostname exceeds 253 characters' };
+	}
+	if (labels.length < 2 || !labels.every(label => labelPattern.test(label))) {
+		return { error: 'Target is not a valid IP address or hostname' };
+	}
+	if (/^[0-9]+$/.test(labels[labels.length - 1])) {
+		return { error: 'Target is not a valid IP address or hostname' };
+	}
+
+	return { type: 'hostname', value: hostname };
+}
+
+// Paths requested automatically by browsers and crawlers; never lookup targets
+const BROWSER_PATHS = ['/favicon.ico', '/robots.txt', '/sitemap.xml', '/apple-touch-icon.png', '/apple-touch-icon-precomposed.png'];
+
+// Alternate IPv4 and IPv6 entries, keeping each family's order, so a prefix of the result covers both
+function interleaveFamilies(addresses) {
+	const rank = new Map();
+	const seen = { 4: 0, 6: 0 };
+	for (const address of addresses) rank.set(address, seen[address.family]++);
+	return [...addresses].sort((a, b) => rank.get(a) - rank.get(b) || a.family - b.family);
+}
+
+// Validate a name for /dns/:name; unlike lookup targets, underscores (_dmarc, _sip._tcp) and single labels are allowed
+function parseDnsName(rawName) {
+	const name = String(rawName || '').trim().toLowerCase().replace(/\.$/, '');
+	const labelPattern = /^(?!-)[a-z0-9_-]{1,63}(?<!-)$/;
+
+	if (name.length === 0 || name.length > 253 || !name.split('.').every(label => labelPattern.test(label))) {
+		return { error: 'Name is not a valid DNS name' };
+	}
+	return { value: name };
+}
+
+// Record types from ?type=A,MX; every type except SRV by default
+function parseRecordTypes(rawTypes) {
+	if (rawTypes === undefined) {
+		return { value: RECORD_TYPES.filter(type => type !== 'SRV') };
+	}
+
+	const types = [...new Set(String(rawTypes).split(',').map(type => type.trim().toUpperCase()).filter(Boolean))];
+	const unknown = types.filter(type => !RECORD_TYPES.includes(type));
+	if (types.length === 0 || unknown.length > 0) {
+		return { error: `Unsupported record type ${unknown.join(', ') || '(none)'} (expected: ${RECORD_TYPES.join(', ')})` };
+	}
+	return { value: types };
+}
+
+// Extension-style aliases for the caller's own lookup, e.g. `curl host/yaml`
+const FORMAT_ROUTES = {
+	'/json': 'json',
+	'/txt': 'text',
+	'/yaml': 'yaml',
+	'/xml': 'xml',
+	'/csv': 'csv'
+};
+
+// Single-field routes and how to read each value from a lookup response
+const FIELD_ROUTES = {
+	'/ip': data => data.ip,
+	'/country': data => data.geolocation?.country,
+	'/country-iso': data => data.geolocation?.countryCode,
+	'/city': data => data.geolocation?.city,
+	'/asn': data => {
+		const asn = data.network?.asn || data.geolocation?.asn;
+		return asn ? `AS${asn}` : null;
+	},
+	'/prefix': data => data.network?.prefix,
+	'/org': data => data.geolocation?.org || data.geolocation?.isp,
+	'/reverse': data => data.reverseLookup,
+	'/tz': data => data.geolocation?.timezone,
+	'/coords': data => data.geolocation?.lat != null && data.geolocation?.lon != null
+		? `${data.geolocation.lat},${data.geolocation.lon}`
+		: null,
+	'/ua': data => Object.entries(data.headers).find(([name]) => name.toLowerCase() === 'user-agent')?.[1]
+};
+
+// Fields read off the request itself, which skip the address lookups and user agent tracking
+const REQUEST_FIELDS = new Set(['/ip', '/ua']);
+
+function sendFormatError(res, message) {
+	return res.status(400).json({
+		error: {
+			code: 'unsupported_format',
+			message
+		}
+	});
+}
+
+// Send lookup data in the negotiated format; output varies by Accept and User-Agent.
+// ?fields=ip,geolocation.country trims machine-readable formats to the listed paths.
+function sendLookupResponse(req, res, format, data, renderHTML = generateHTML) {
+	res.vary('Accept');
+	res.vary('User-Agent');
+	res.locals.responseFormat = format;
+	res.setHeader('Content-Type', FORMATS[format]);
+
+	if (format === 'html') {
+		return res.send(renderHTML(data));
+	}
+
+	const fields = typeof req.query.fields === 'string' ? req.query.fields.split(',').map(field => field.trim()).filter(Boolean) : [];
+	res.send(serialize(format, fields.length > 0 ? projectFields(data, fields) : data));
+}
+
+// Parse a batch body: a JSON array, { "ips": [...] }, or newline-delimited text
+function parseBatchBody(body) {
+	if (Array.isArray(body)) return body;
+	if (body && typeof body === 'object' && Array.isArray(body.ips)) return body.ips;
+	if (typeof body === 'string') {
+		return body.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+	}
+	return null;
+}
+
+// A cached /dns/:name answer with its TTLs reduced by the time since it was fetched
+function withRemainingTtl({ fetchedAt, ...answer }) {
+	const age = Math.floor((Date.now() - fetchedAt) / 1000);
+	const remaining = ttl => (ttl === null ? null : Math.max(ttl - age, 0));
+	return {
+		...answer,
+		ttl: remaining(answer.ttl),
+		records: answer.records.map(record => ({ ...record, ttl: remaining(record.ttl) }))
+	};
+}
+
+// Decode a cached value from MGET or the stale tier; undefined means "not usable, look it up"
+function decodeCachedValue(key, raw) {
+	if (raw === null) return undefined;
+	try {
+		return decodeEntry(key, raw);
+	} catch (err) {
+		return undefined;
+	}
+}
+
+// A stored cache value as the admin API shows it: decoded when it matches the current
+// schema version, otherwise as stored and flagged as outdated
+function describeCacheEntry(key, raw, ttl) {
+	const remaining = ttl === null ? null : Math.ceil(ttl);
+	try {
+		return { ttl: remaining, current: true, value: decodeEntry(key, raw) };
+	} catch (err) {
+		let stored;
+		try {
+			stored = JSON.parse(raw);
+		} catch (parseErr) {
+			stored = raw;
+		}
+		return { ttl: remaining, current: false, error: err.message, value: stored };
+	}
+}
+
+// Build the Express app. `cache` is { isReady, getWithTtl, getMany, set, scanKeys, remove, ping } (see ./cache),
+// `geoProvider` a provider chain (see ./geo), `resolver` a DNS resolver (see ./resolver).
+// Redis-backed stores use `redisClient` when given; ASN and reputation lookups are
+// off unless their databases are passed in.
+function createApp({
+	cache,
+	geoProvider,
+	resolver: dnsResolver,
+	logger,
+	redisClient = DISCONNECTED_REDIS,
+	metrics = createMetrics({ isRedisReady: () => cache.isReady(), circuitStatus: () => geoProvider.status() }),
+	asnDatabase = createAsnDatabase({ logger }),
+	ipReputation = createIpReputation({ logger }),
+	config = appConfigFromEnv({})
+}) {
+	const { TRUSTED_PROXIES, TRUSTED_PROXY_HEADER, ADMIN_API_KEY, RATE_LIMIT, READINESS, BATCH, USER_AGENTS, CACHE_TTL, MEMORY_CACHE, CACHE_IPV6_PREFIX, DUAL_STACK_DOMAIN, DISTANCE_REFERENCE } = config;
+
+	// Every lookup reads and writes through the in-memory tier
+	const lookupCache = createTieredCache({ remote: cache, maxEntries: MEMORY_CACHE.MAX_ENTRIES, staleTtl: MEMORY_CACHE.STALE_TTL });
+
+	const app = express();
+
+	const httpLogger = pinoHttp({
+		logger,
+		customLogLevel: function (req, res, err) {
+			if (res.statusCode >= 400 && res.statusCode < 500) {
+				return 'warn';
+			} else if (res.statusCode >= 500 || err) {
+				return 'error';
+			} else if (res.statusCode >= 300 && res.statusCode < 400) {
+				return 'silent';
+			}
+			return 'info';
+		},
+		customSuccessMessage: function (req, res) {
+			if (req.url === '/alb-health-check') {
+				return 'health check';
+			}
+			return `${req.method} ${req.url}`;
+		},
+		customErrorMessage: function (req, res, err) {
+			return `${req.method} ${req.url} - ${err.message}`;
+		},
+		customAttributeKeys: {
+			req: 'request',
+			res: 'response',
+			err: 'error',
+			responseTime: 'responseTimeMs'
+		}
+	});
+
+	app.use(httpLogger);
+
+	// Set by startDraining(): /readyz starts failing and keep-alive connections close after their current response
+	let shuttingDown = false;
+	app.use((req, res, next) => {
+		if (shuttingDown) res.setHeader('Connection', 'close');
+		next();
+	});
+
+	// Every response gets the strict CSP; only HTML pages need it, but nothing else is
+	// harmed by it and error pages are covered without special cases
+	const dualStackHosts = DUAL_STACK_DOMAIN && { 4: `v4.${DUAL_STACK_DOMAIN}`, 6: `v6.${DUAL_STACK_DOMAIN}` };
+	const securityPolicy = contentSecurityPolicy({
+		connectSources: dualStackHosts ? Object.values(dualStackHosts) : []
+	});
+	app.use((req, res, next) => {
+		res.setHeader('Content-Security-Policy', securityPolicy);
+		res.setHeader('X-Content-Type-Options', 'nosniff');
+		next();
+	});
+
+	// Request counters and latency by matched route
+	app.use((req, res, next) => {
+		const endTimer = metrics.requestDuration.startTimer();
+		res.on('finish', () => {
+			// Routes registered for a list of paths label each request with the path it matched
+			const route = Array.isArray(req.route?.path) ? req.path : req.route?.path || res.locals.metricsRoute || 'unmatched';
+			const contentType = String(res.getHeader('Content-Type') || '');
+			const format = res.locals.responseFormat
+				|| (contentType.includes('html') ? 'html' : contentType.includes('json') ? 'json' : contentType ? 'text' : 'none');
+
+			metrics.httpRequests.inc({ route, method: req.method, status: res.statusCode, format });
+			endTimer({ route });
+		});
+		next();
+	});
+
+	// User agent counts in Redis, bucketed per day and capped per bucket
+	const userAgentStore = createUserAgentStore({
+		redisClient,
+		logger,
+		parse: parseUserAgent,
+		maxTracked: USER_AGENTS.MAX_TRACKED,
+		retentionDays: USER_AGENTS.RETENTION_DAYS
+	});
+
+	const clientIpResolver = createClientIpResolver({ trustedProxies: TRUSTED_PROXIES, trustedHeader: TRUSTED_PROXY_HEADER });
+
+	const rateLimiter = createRateLimiter({ redisClient, logger });
+
+	// API keys live in Redis; ADMIN_API_KEY is a static admin key for bootstrapping the first keys
+	const apiKeyStore = createApiKeyStore({
+		redisClient,
+		logger,
+		bootstrapAdminKey: ADMIN_API_KEY
+	});
+
+	// Redis PING for /readyz: { status: up|down, latencyMs, error? }
+	async function checkRedis() {
+		if (!cache.isReady()) {
+			return { status: 'down', latencyMs: null, error: 'not connected' };
+		}
+
+		const startTime = Date.now();
+		try {
+			await cache.ping(READINESS.REDIS_TIMEOUT_MS);
+			return { status: 'up', latencyMs: Date.now() - startTime };
+		} catch (err) {
+			return { status: 'down', latencyMs: null, error: err.message };
+		}
+	}
+
+	// Private, loopback, documentation etc. addresses mean nothing to public resolvers and providers
+	function logExternalLookupsSkipped(classification) {
+		logger.info({
+			event: 'external_lookups_skipped',
+			clientIp: classification.address,
+			category: classification.category,
+			range: classification.range
+		}, `Skipping DNS and geolocation for ${classification.category} address`);
+	}
+
+	// Local time and reference-point distance for a geolocation, computed per response and never cached
+	function describeLocation(geolocation) {
+		const distance = DISTANCE_REFERENCE && greatCircle(DISTANCE_REFERENCE, geolocation);
+		return {
+			localTime: localTimeIn(geolocation?.timezone),
+			distance: distance ? { from: DISTANCE_REFERENCE, ...distance } : null
+		};
+	}
+
+	// Reverse DNS (with forward confirmation), geolocation and network ownership lookups for a single address, with logging
+	async function lookupAddress(ip) {
+		let reverseLookup;
+		let reverseDns = null;
+		let dnsLookupTime = null;
+		let geolocation = null;
+		let geoLookupTime = null;
+		let network = null;
+
+		const classification = classifyAddress(ip);
+		// Local list matches cost nothing, so they're checked for every address
+		const reputation = ipReputation.lookup(ip);
+		if (!classification.isGlobal) {
+			logExternalLookupsSkipped(classification);
+			return { classification, reputation, reverseLookup: null, reverseDns, dnsLookupTime, geolocation, geoLookupTime, localTime: null, distance: null, network };
+		}
+
+		const dnsStart = Date.now();
+		try {
+			const { result, cacheStatus } = await reverseDnsWithCache(ip);
+			reverseDns = result;
+			reverseLookup = result ? result.ptrRecords[0]?.name ?? null : null;
+			dnsLookupTime = Date.now() - dnsStart;
+			metrics.dnsLookupDuration.observe({ cache_status: cacheStatus }, dnsLookupTime / 1000);
+
+			if (reverseLookup) {
+				logger.info({
+					event: 'dns_lookup_success',
+					clientIp: ip,
+					reverseDns: reverseLookup,
+					ptrCount: result.ptrRecords.length,
+					forwardConfirmed: result.forwardConfirmed,
+					lookupTimeMs: dnsLookupTime,
+					fromCache: cacheStatus !== 'miss'
+				}, 'DNS reverse lookup successful');
+			}
+		} catch (err) {
+			dnsLookupTime = Date.now() - dnsStart;
+			metrics.dnsLookupDuration.observe({ cache_status: 'miss' }, dnsLookupTime / 1000);
+
+			logger.warn({
+				event: 'dns_lookup_failure',
+				clientIp: ip,
+				lookupTimeMs: dnsLookupTime,
+				error: err.message
+			}, 'DNS reverse lookup failed');
+		}
+
+		// Geolocation lookup with timeout
+		const geoStart = Date.now();
+		try {
+			const { result, cacheStatus } = await getGeolocationWithCache(ip);
+			geolocation = result;
+			geoLookupTime = Date.now() - geoStart;
+			metrics.geoLookupDuration.observe({ cache_status: cacheStatus }, geoLookupTime / 1000);
+
+			if (geolocation) {
+				logger.info({
+					event: 'geolocation_lookup_success',
+					clientIp: ip,
+					country: geolocation.country,
+					countryCode: geolocation.countryCode,
+					region: geolocation.region,
+					city: geolocation.city,
+					isp: geolocation.isp,
+					geoProvider: geolocation.provider,
+					lookupTimeMs: geoLookupTime,
+					fromCache: cacheStatus !== 'miss'
+				}, `Geolocation lookup successful for ${geolocation.country}`);
+
+				// Log country metrics for Grafana
+				logger.info({
+					event: 'country_metrics',
+					country: geolocation.country,
+					countryCode: geolocation.countryCode,
+					region: geolocation.region,
+					city: geolocation.city,
+					clientIp: ip
+				}, `Request from ${geolocation.country}`);
+			}
+		} catch (err) {
+			geoLookupTime = Date.now() - geoStart;
+			metrics.geoLookupDuration.observe({ cache_status: 'miss' }, geoLookupTime / 1000);
+
+			logger.warn({
+				event: 'geolocation_lookup_failure',
+				clientIp: ip,
+				lookupTimeMs: geoLookupTime,
+				error: err.message
+			}, 'Geolocation lookup failed');
+		}
+
+		if (asnDatabase.enabled) {
+			try {
+				({ result: network } = await getNetworkWithCache(ip));
+			} catch (err) {
+				logger.warn({
+					event: 'asn_lookup_failure',
+					clientIp: ip,
+					error: err.message
+				}, 'Network ownership lookup failed');
+			}
+		}
+
+		return { classification, reputation, reverseLookup, reverseDns, dnsLookupTime, geolocation, geoLookupTime, ...describeLocation(geolocation), network };
+	}
+
+	// Rate limit bucket for a request: the API key when a valid one is sent, otherwise the client IP
+	function rateLimitScopes(req) {
+		const resolvedIp = clientIpResolver.resolve(req).ip;
+		const clientIp = resolvedIp ? normalizeAddress(resolvedIp) : 'unknown';
+		if (!req.auth.anonymous) {
+			return [{ type: 'api_key', key: `rate:key:${req.auth.id}`, clientIp, apiKeyId: req.auth.id, ...RATE_LIMIT.API_KEY }];
+		}
+		return [{ type: 'ip', key: `rate:ip:${clientIp}`, clientIp, ...RATE_LIMIT.IP }];
+	}
+
+	// Stylesheet and script for the HTML pages. Public and cheap, so they are served
+	// ahead of API keys and rate limiting.
+	app.use('/assets', (req, res, next) => {
+		res.locals.metricsRoute = '/assets';
+		next();
+	}, express.static(path.join(__dirname, '..', 'public'), { maxAge: '1h', index: false }));
+
+	// Resolve the API key first so the limiter can bucket by key; invalid keys are
+	// rejected after the IP limit so guessing keys is throttled like anything else
+	app.use(authenticate({ store: apiKeyStore, logger }));
+
+	if (RATE_LIMIT.ENABLED) {
+		app.use(rateLimitMiddleware({
+			limiter: rateLimiter,
+			logger,
+			metrics,
+			identify: rateLimitScopes,
+			exemptPaths: RATE_LIMIT.EXEMPT_PATHS
+		}));
+	}
+
+	app.use(enforceApiKey({ store: apiKeyStore, logger, metrics, exemptPaths: RATE_LIMIT.EXEMPT_PATHS }));
+
+	// Rate limit tokens and API key quota for a request that looks up several addresses.
+	// The first was paid for on the way in. False once a 429 has been sent.
+	async function chargeAddresses(res, addressCount) {
+		return await chargeRateLimit(res, addressCount - 1) && await chargeQuota(res, addressCount - 1);
+	}
+
+	// Caller's own lookup, shared by / and the single-field routes
+	async function lookupClient(req, userAgent) {
+		// Select the right-most hop that is not one of our trusted proxies
+		const clientIp = clientIpResolver.resolve(req);
+		// Dual-stack sockets report IPv4 clients as ::ffff:a.b.c.d
+		const ip = clientIp.ip ? normalizeAddress(clientIp.ip) : clientIp.ip;
+		const ipSource = clientIp.source;
+
+		const ua = req.headers["user-agent"];
+		const isBrowser = userAgent.isBrowser;
+
+		// Count the user agent in the background; the response doesn't wait on Redis
+		userAgentStore.record(ua).then(({ member, count, uniqueUserAgents, storage }) => {
+			logger.info({
+				event: 'user_agent_tracking',
+				userAgent: ua,
+				isNewUserAgent: count === 1,
+				isBrowserRequest: isBrowser,
+				browser: userAgent.browser.name,
+				os: userAgent.os.name,
+				deviceType: userAgent.device.type,
+				botName: userAgent.bot.name,
+				overflow: member === OVERFLOW_MEMBER,
+				totalOccurrences: count,
+				totalUniqueUserAgents: uniqueUserAgents,
+				storage
+			}, 'User agent tracked');
+		});
+
+		// Log IP detection metrics
+		logger.info({
+			event: 'ip_detection',
+			clientIp: ip,
+			ipSource,
+			hasProxyHeaders: !!clientIp.headerSource,
+			hopCount: clientIp.hops.length,
+			untrustedHops: clientIp.hops.filter(hop => hop.trusted === false).length
+		}, `Client IP detected via ${ipSource || 'connection'}`);
+
+		let reverseLookup;
+		let dnsLookupTime = null;
+		let geolocation = null;
+		let geoLookupTime = null;
+		let localTime = null;
+		let distance = null;
+		let network = null;
+		let reverseDns = null;
+		let classification = null;
+		let reputation = null;
+
+		if (ip) {
+			({ classification, reputation, reverseLookup, reverseDns, dnsLookupTime, geolocation, geoLookupTime, localTime, distance, network } = await lookupAddress(ip));
+		}
+
+		const response = {
+			currentTs: new Date(),
+			ip,
+			family: ip ? net.isIP(ip) : null,
+			ipSource,
+			classification,
+			reputation,
+			proxyChain: clientIp.hops,
+			reverseLookup,
+			reverseDns,
+			geolocation,
+			localTime,
+			distance,
+			network,
+			userAgent,
+			clientHints: parseClientHints(req.headers),
+			transport: describeTransport(req),
+			headers: rawHeaders(req)
+		};
+
+		if (!ip) {
+			response.debug = {
+				message: "Could not determine client IP",
+				remoteAddress: req.connection?.remoteAddress,
+				socketRemoteAddress: req.socket?.remoteAddress
+			};
+
+			logger.warn({
+				event: 'ip_detection_failure',
+				headers: Object.keys(req.headers),
+				remoteAddress: req.connection?.remoteAddress,
+				socketRemoteAddress: req.socket?.remoteAddress
+			}, 'Failed to determine client IP');
+		}
+
+		return { response, dnsLookupTime, geoLookupTime };
+	}
+
+	function logRequestPerformance({ startTime, response, dnsLookupTime, geoLookupTime, isBrowser, responseFormat, formatSource }) {
+		logger.info({
+			event: 'request_performance',
+			totalRequestTimeMs: Date.now() - startTime,
+			dnsLookupTimeMs: dnsLookupTime,
+			geoLookupTimeMs: geoLookupTime,
+			clientIp: response.ip,
+			hasReverseDns: !!response.reverseLookup,
+			hasGeolocation: !!response.geolocation,
+			isBrowserRequest: isBrowser,
+			responseFormat,
+			formatSource
+		}, 'Request processing completed');
+	}
+
+	// On v4.<domain> and v6.<domain> the root only echoes the address, for the HTML
+	// page on the main host to fetch; the page compares family with expectedFamily
+	// in case the host was reached over the other family anyway
+	app.get("/", requireScope('self'), (req, res, next) => {
+		const expectedFamily = dualStackHosts && Object.keys(dualStackHosts).find(family => dualStackHosts[family] === req.hostname);
+		if (!expectedFamily) return next();
+
+		const negotiated = negotiateFormat(req, { isBrowser: false });
+		if (negotiated.error) {
+			return sendFormatError(res, negotiated.error);
+		}
+		const clientIp = clientIpResolver.resolve(req);
+		const ip = clientIp.ip ? normalizeAddress(clientIp.ip) : null;
+
+		// There is no HTML view of the echo, so browsers navigating here get JSON
+		res.setHeader('Access-Control-Allow-Origin', '*');
+		sendLookupResponse(req, res, negotiated.format === 'html' ? 'json' : negotiated.format, {
+			currentTs: new Date(),
+			ip,
+			family: ip ? net.isIP(ip) : null,
+			expectedFamily: Number(expectedFamily)
+		});
+	});
+
+	app.get(["/", ...Object.keys(FORMAT_ROUTES)], requireScope('self'), async (req, res) => {
+		const startTime = Date.now();
+
+		// Browser, OS, device and bot details; browsers get HTML unless they ask otherwise
+		const userAgent = parseUserAgent(req.headers["user-agent"]);
+		const isBrowser = userAgent.isBrowser;
+		const negotiated = negotiateFormat(req, { routeFormat: FORMAT_ROUTES[req.path], isBrowser });
+		if (negotiated.error) {
+			return sendFormatError(res, negotiated.error);
+		}
+
+		const { response, dnsLookupTime, geoLookupTime } = await lookupClient(req, userAgent);
+
+		// Ask Chromium browsers for the high-entropy client hints on their next request
+		res.setHeader('Accept-CH', ACCEPT_CH);
+
+		logRequestPerformance({
+			startTime,
+			response,
+			dnsLookupTime,
+			geoLookupTime,
+			isBrowser,
+			responseFormat: negotiated.format,
+			formatSource: negotiated.reason
+		});
+
+		sendLookupResponse(req, res, negotiated.format, response, data => generateHTML(data, { dualStackHosts }));
+	});
+
+	// Single values for shell scripts, e.g. `curl host/country`; unknown values are an empty 404
+	app.get(Object.keys(FIELD_ROUTES), requireScope('self'), async (req, res) => {
+		const startTime = Date.now();
+		const userAgent = parseUserAgent(req.headers["user-agent"]);
+
+		let response;
+		let dnsLookupTime = null;
+		let geoLookupTime = null;
+		if (REQUEST_FIELDS.has(req.path)) {
+			const clientIp = clientIpResolver.resolve(req);
+			response = { ip: clientIp.ip ? normalizeAddress(clientIp.ip) : null, headers: rawHeaders(req) };
+		} else {
+			({ response, dnsLookupTime, geoLookupTime } = await lookupClient(req, userAgent));
+		}
+		const value = FIELD_ROUTES[req.path](response);
+
+		logRequestPerformance({
+			startTime,
+			response,
+			dnsLookupTime,
+			geoLookupTime,
+			isBrowser: userAgent.isBrowser,
+			responseFormat: 'field',
+			formatSource: 'route'
+		});
+
+		res.locals.responseFormat = 'field';
+		res.setHeader('Content-Type', FORMATS.text);
+		if (value === null || value === undefined || value === '') {
+			return res.status(404).send('');
+		}
+		res.send(`${value}\n`);
+	});
+
+	// Request headers as received, with credentials redacted
+	app.get("/headers", requireScope('self'), (req, res) => {
+		const negotiated = negotiateFormat(req, { isBrowser: parseUserAgent(req.headers['user-agent']).isBrowser });
+		if (negotiated.error) {
+			return sendFormatError(res, negotiated.error);
+		}
+
+		res.setHeader('Accept-CH', ACCEPT_CH);
+		sendLookupResponse(req, res, negotiated.format, {
+			currentTs: new Date(),
+			transport: describeTransport(req),
+			clientHints: parseClientHints(req.headers),
+			headers: rawHeaders(req)
+		}, generateHeadersHTML);
+	});
+
+	// Enrich one batch address, starting from any values already read via MGET
+	async function lookupBatchItem(ip, cachedDns, cachedGeo, cachedNetwork) {
+		const classification = classifyAddress(ip);
+		const item = { ip, family: net.isIP(ip), classification, reputation: ipReputation.lookup(ip), reverseLookup: null, reverseDns: null, geolocation: null, localTime: null, distance: null, network: null, cached: { dns: false, geolocation: false } };
+		const errors = [];
+
+		if (!classification.isGlobal) {
+			logExternalLookupsSkipped(classification);
+			return item;
+		}
+
+		const fromMget = (cacheType, result) => {
+			const cacheStatus = result === null ? 'negative_hit' : 'hit';
+			metrics.cacheLookups.inc({ cache_type: cacheType, result: cacheStatus });
+			return Promise.resolve({ result, cacheStatus });
+		};
+		const lookups = [
+			cachedDns !== undefined ? fromMget('dns', cachedDns) : reverseDnsWithCache(ip),
+			cachedGeo !== undefined ? fromMget('geolocation', cachedGeo) : getGeolocationWithCache(ip)
+		];
+		if (asnDatabase.enabled) {
+			lookups.push(cachedNetwork !== undefined ? fromMget('asn', cachedNetwork) : getNetworkWithCache(ip));
+		}
+		const [dnsResult, geoResult, networkResult] = await Promise.allSettled(lookups);
+
+		if (dnsResult.status === 'fulfilled') {
+			item.reverseDns = dnsResult.value.result;
+			item.reverseLookup = item.reverseDns?.ptrRecords[0]?.name ?? null;
+			item.cached.dns = dnsResult.value.cacheStatus !== 'miss';
+		} else {
+			errors.push({ lookup: 'dns', code: dnsResult.reason.code || 'dns_lookup_failed', message: dnsResult.reason.message });
+		}
+
+		if (geoResult.status === 'fulfilled') {
+			item.geolocation = geoResult.value.result;
+			Object.assign(item, describeLocation(item.geolocation));
+			item.cached.geolocation = geoResult.value.cacheStatus !== 'miss';
+		} else {
+			errors.push({
+				lookup: 'geolocation',
+				code: geoResult.reason.transient ? 'geolocation_unavailable' : 'geolocation_failed',
+				message: geoResult.reason.message
+			});
+		}
+
+		if (networkResult?.status === 'fulfilled') {
+			item.network = networkResult.value.result;
+			item.cached.network = networkResult.value.cacheStatus !== 'miss';
+		} else if (networkResult) {
+			errors.push({ lookup: 'asn', code: 'asn_lookup_failed', message: networkResult.reason.message });
+		}
+
+		if (errors.length > 0) item.errors = errors;
+		return item;
+	}
+
+	// Enrich many IPs at once: cached entries are read with one MGET, the rest with bounded concurrency
+	app.post("/batch", requireScope('batch'), express.json({ limit: '256kb' }), express.text({ limit: '256kb' }), async (req, res) => {
+		const startTime = Date.now();
+		const inputs = parseBatchBody(req.body);
+
+		if (!inputs || inputs.length === 0) {
+			return res.status(400).json({
+				error: {
+					code: 'invalid_batch',
+					message: 'Expected a JSON array of IPs, {"ips": [...]}, or newline-delimited text'
+				}
+			});
+		}
+
+		if (inputs.length > BATCH.MAX_SIZE) {
+			return res.status(413).json({
+				error: {
+					code: 'batch_too_large',
+					message: `Batch contains ${inputs.length} entries; the limit is ${BATCH.MAX_SIZE}`,
+					limit: BATCH.MAX_SIZE
+				}
+			});
+		}
+
+		// Validate every entry, then look each distinct address up once
+		const entries = inputs.map(input => {
+			const parsed = parseLookupTarget(typeof input === 'string' ? input : '');
+			return parsed.type === 'ip' ? { input, ip: parsed.value } : { input, error: 'Not a valid IPv4 or IPv6 address' };
+		});
+		const uniqueIps = [...new Set(entries.filter(entry => entry.ip).map(entry => entry.ip))];
+		if (!await chargeAddresses(res, uniqueIps.length)) return;
+
+		const cachedValues = await lookupCache.getMany(uniqueIps.flatMap(ip => [`dns:${ip}`, subnetCacheKey('geo', ip), subnetCacheKey('asn', ip)]));
+		const lookups = await mapWithConcurrency(uniqueIps, BATCH.CONCURRENCY, (ip, index) => lookupBatchItem(
+			ip,
+			decodeCachedValue(`dns:${ip}`, cachedValues[index * 3]),
+			decodeCachedValue(subnetCacheKey('geo', ip), cachedValues[index * 3 + 1]),
+			decodeCachedValue(subnetCacheKey('asn', ip), cachedValues[index * 3 + 2])
+		));
+		const byIp = new Map(lookups.map(item => [item.ip, item]));
+
+		const results = entries.map(entry => entry.ip
+			? { input: entry.input, ...byIp.get(entry.ip) }
+			: { input: entry.input, error: { code: 'invalid_ip', message: entry.error } });
+
+		const summary = {
+			requested: entries.length,
+			uniqueAddresses: uniqueIps.length,
+			invalid: entries.filter(entry => !entry.ip).length,
+			withErrors: lookups.filter(item => item.errors).length,
+			fullyCached: lookups.filter(item => item.cached.dns && item.cached.geolocation).length,
+			nonGlobal: lookups.filter(item => !item.classification.isGlobal).length
+		};
+
+		logger.info({
+			event: 'batch_lookup_completed',
+			...summary,
+			totalRequestTimeMs: Date.now() - startTime
+		}, `Batch lookup of ${entries.length} entries completed`);
+
+		res.json({ currentTs: new Date(), ...summary, results });
+	});
+
+	app.get("/user-agents", requireScope('admin'), async (req, res) => {
+		const top = req.query.top === undefined ? 100 : parseInt(req.query.top, 10);
+		const since = parseSince(req.query.since);
+		const browser = req.query.browser === undefined ? null : req.query.browser === 'true';
+
+		if (!Number.isInteger(top) || top < 0 || since === undefined
+			|| (req.query.browser !== undefined && !['true', 'false'].includes(req.query.browser))) {
+			return res.status(400).json({
+				error: {
+					code: 'invalid_query',
+					message: 'Expected top=<non-negative integer>, since=<YYYY-MM-DD|ISO timestamp|Nd> and browser=true|false'
+				}
+			});
+		}
+
+		const result = await userAgentStore.query({ since, top, browser });
+
+		logger.info({
+			event: 'user_agents_endpoint_accessed',
+			uniqueUserAgents: result.uniqueUserAgents,
+			totalRequests: result.totalRequests,
+			since: result.since,
+			top,
+			browser
+		}, 'User agents data accessed');
+
+		res.json(result);
+	});
+
+	// API key administration; the raw key is only returned once, at creation
+	function requireKeyStore(req, res, next) {
+		if (redisClient.isReady) return next();
+		res.status(503).json({
+			error: {
+				code: 'store_unavailable',
+				message: 'API keys cannot be managed while Redis is unavailable'
+			}
+		});
+	}
+
+	function sendKeyNotFound(res, id) {
+		res.status(404).json({ error: { code: 'api_key_not_found', message: `No API key with id ${id}` } });
+	}
+
+	app.post("/admin/keys", requireScope('admin'), requireKeyStore, express.json({ limit: '16kb' }), async (req, res, next) => {
+		const spec = req.body && typeof req.body === 'object' ? req.body : {};
+		const problem = apiKeyStore.validateSpec(spec);
+		if (problem) {
+			return res.status(400).json({ error: { code: 'invalid_api_key_spec', message: problem } });
+		}
+
+		try {
+			res.status(201).json(await apiKeyStore.create(spec));
+		} catch (err) {
+			next(err);
+		}
+	});
+
+	app.get("/admin/keys", requireScope('admin'), requireKeyStore, async (req, res, next) => {
+		try {
+			res.json({ keys: await apiKeyStore.list() });
+		} catch (err) {
+			next(err);
+		}
+	});
+
+	app.get("/admin/keys/:id", requireScope('admin'), requireKeyStore, async (req, res, next) => {
+		try {
+			const key = await apiKeyStore.get(req.params.id);
+			if (!key) return sendKeyNotFound(res, req.params.id);
+			res.json(key);
+		} catch (err) {
+			next(err);
+		}
+	});
+
+	app.delete("/admin/keys/:id", requireScope('admin'), requireKeyStore, async (req, res, next) => {
+		try {
+			const revoked = await apiKeyStore.revoke(req.params.id);
+			if (!revoked) return sendKeyNotFound(res, req.params.id);
+			res.json(revoked);
+		} catch (err) {
+			next(err);
+		}
+	});
+
+	// Cache administration. Only the lookup namespaces (dns:, geo:, asn:, dnsq:) can be
+	// read or purged here; API keys and rate limit buckets live in the same Redis.
+	function requireCacheStore(req, res, next) {
+		if (cache.isReady()) return next();
+		res.status(503).json({
+			error: {
+				code: 'cache_unavailable',
+				message: 'The cache cannot be inspected or purged while Redis is unavailable'
+			}
+		});
+	}
+
+	function sendInvalidPurge(res, message) {
+		res.status(400).json({ error: { code: 'invalid_purge', message } });
+	}
+
+	app.get("/admin/cache/stats", requireScope('admin'), requireCacheStore, async (req, res, next) => {
+		try {
+			const lookups = (await metrics.cacheLookups.get()).values;
+			const memoryKeys = [...lookupCache.keys()];
+			const namespaces = {};
+
+			// One SCAN per namespace, so rate limit, API key and user agent keys never come back
+			const redisKeys = {};
+			for (const namespace of Object.keys(CACHE_NAMESPACES)) {
+				redisKeys[namespace] = 0;
+				for await (const key of cache.scanKeys(`${namespace}:*`)) {
+					if (namespaceOf(key) === namespace) redisKeys[namespace]++;
+				}
+			}
+
+			for (const [namespace, { cacheType, schemaVersion }] of Object.entries(CACHE_NAMESPACES)) {
+				const counts = { hit: 0, negative_hit: 0, stale: 0, miss: 0, coalesced: 0 };
+				for (const { labels, value } of lookups) {
+					if (labels.cache_type === cacheType) counts[labels.result] = value;
+				}
+				const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+
+				namespaces[namespace] = {
+					schemaVersion,
+					redisKeys: redisKeys[namespace],
+					memoryEntries: memoryKeys.filter(key => namespaceOf(key) === namespace).length,
+					lookups: counts,
+					hitRatio: total === 0 ? null : (counts.hit + counts.negative_hit + counts.stale) / total
+				};
+			}
+
+			res.json({
+				memory: { entries: memoryKeys.length, maxEntries: MEMORY_CACHE.MAX_ENTRIES, staleTtl: MEMORY_CACHE.STALE_TTL },
+				namespaces
+			});
+		} catch (err) {
+			next(err);
+		}
+	});
+
+	// One entry as held in Redis and in this process's memory tier, with remaining TTLs
+	app.get("/admin/cache/entries/:key", requireScope('admin'), requireCacheStore, async (req, res, next) => {
+		const { key } = req.params;
+		const namespace = namespaceOf(key);
+		if (!namespace) {
+			return res.status(400).json({
+				error: {
+					code: 'invalid_cache_key',
+					message: `Cache keys start with one of ${Object.keys(CACHE_NAMESPACES).map(prefix => `${prefix}:`).join(', ')}`
+				}
+			});
+		}
+
+		try {
+			const stored = await cache.getWithTtl(key);
+			const memory = lookupCache.peek(key);
+			if (!stored && !memory) {
+				return res.status(404).json({ error: { code: 'cache_entry_not_found', message: `No cache entry for ${key}` } });
+			}
+
+			res.json({
+				key,
+				namespace,
+				schemaVersion: CACHE_NAMESPACES[namespace].schemaVersion,
+				redis: stored && describeCacheEntry(key, stored.value, stored.ttl),
+				memory: memory && { ...describeCacheEntry(key, memory.value, memory.ttl), stale: memory.stale }
+			});
+		} catch (err) {
+			next(err);
+		}
+	});
+
+	// Purge every entry for one address ({"ip"}) or every key matching a SCAN glob
+	// ({"pattern": "geo:203.0.113.*"}), from Redis and from this process's memory tier.
+	// Other replicas keep their in-memory copies until those expire.
+	app.post("/admin/cache/purge", requireScope('admin'), requireCacheStore, express.json({ limit: '16kb' }), async (req, res, next) => {
+		const { ip, pattern } = req.body && typeof req.body === 'object' ? req.body : {};
+		if ((ip === undefined) === (pattern === undefined)) {
+			return sendInvalidPurge(res, 'Send either {"ip": "..."} or {"pattern": "..."}');
+		}
+
+		try {
+			let purged;
+			if (ip !== undefined) {
+				const parsed = parseLookupTarget(typeof ip === 'string' ? ip : '');
+				if (parsed.type !== 'ip') {
+					return sendInvalidPurge(res, 'ip must be an IPv4 or IPv6 address');
+				}
+				const keys = [`dns:${parsed.value}`, subnetCacheKey('geo', parsed.value), subnetCacheKey('asn', parsed.value)];
+				purged = {
+					redis: await cache.remove(keys),
+					memory: lookupCache.purge(key => keys.includes(key))
+				};
+			} else {
+				// Character classes aren't supported by the in-memory matcher, so they're refused
+				if (typeof pattern !== 'string' || !namespaceOf(pattern) || /[[\]]/.test(pattern)) {
+					return sendInvalidPurge(res, `pattern must start with one of ${Object.keys(CACHE_NAMESPACES).map(prefix => `${prefix}:`).join(', ')} and may use * and ?`);
+				}
+
+				let redisPurged = 0;
+				let batch = [];
+				for await (const key of cache.scanKeys(pattern)) {
+					batch.push(key);
+					if (batch.length >= 500) {
+						redisPurged += await cache.remove(batch);
+						batch = [];
+					}
+				}
+				redisPurged += await cache.remove(batch);
+
+				const matcher = globToRegExp(pattern);
+				purged = { redis: redisPurged, memory: lookupCache.purge(key => matcher.test(key)) };
+			}
+
+			logger.info({
+				event: 'cache_purged',
+				ip,
+				pattern,
+				apiKeyId: req.auth.id,
+				...purged
+			}, `Purged ${purged.redis} cache keys`);
+
+			res.json({ ip, pattern, purged });
+		} catch (err) {
+			next(err);
+		}
+	});
+
+	// Look up a list of addresses so later requests hit the cache. Same body formats
+	// as /batch; entries that are already cached are left as they are.
+	app.post("/admin/cache/warm", requireScope('admin'), express.json({ limit: '1mb' }), express.text({ limit: '1mb' }), async (req, res) => {
+		const startTime = Date.now();
+		const inputs = parseBatchBody(req.body);
+
+		if (!inputs || inputs.length === 0) {
+			return res.status(400).json({
+				error: {
+					code: 'invalid_warm_list',
+					message: 'Expected a JSON array of IPs, {"ips": [...]}, or newline-delimited text'
+				}
+			});
+		}
+
+		if (inputs.length > BATCH.WARM_MAX_SIZE) {
+			return res.status(413).json({
+				error: {
+					code: 'warm_list_too_large',
+					message: `List contains ${inputs.length} entries; the limit is ${BATCH.WARM_MAX_SIZE}`,
+					limit: BATCH.WARM_MAX_SIZE
+				}
+			});
+		}
+
+		const ips = inputs.map(input => parseLookupTarget(typeof input === 'string' ? input : '')).filter(parsed => parsed.type === 'ip').map(parsed => parsed.value);
+		const uniqueIps = [...new Set(ips)];
+		if (!await chargeAddresses(res, uniqueIps.length)) return;
+
+		const items = await mapWithConcurrency(uniqueIps, BATCH.CONCURRENCY, ip => lookupBatchItem(ip));
+
+		const global = items.filter(item => item.classification.isGlobal);
+		const alreadyCached = global.filter(item => !item.errors && item.cached.dns && item.cached.geolocation);
+		const summary = {
+			requested: inputs.length,
+			uniqueAddresses: uniqueIps.length,
+			invalid: inputs.length - ips.length,
+			nonGlobal: items.length - global.length,
+			alreadyCached: alreadyCached.length,
+			warmed: global.filter(item => !item.errors).length - alreadyCached.length,
+			withErrors: global.filter(item => item.errors).length
+		};
+
+		logger.info({
+			event: 'cache_warm_completed',
+			...summary,
+			apiKeyId: req.auth.id,
+			totalRequestTimeMs: Date.now() - startTime
+		}, `Cache warm of ${uniqueIps.length} addresses completed`);
+
+		res.json({
+			...summary,
+			errors: global.filter(item => item.errors).map(item => ({ ip: item.ip, errors: item.errors }))
+		});
+	});
+
+	app.get("/alb-health-check", (req, res) => {
+		res.send("ok");
+	});
+
+	// More efficient health check endpoint
+	app.get("/health", (req, res) => {
+		res.status(200).end();
+	});
+
+	// Liveness: the event loop is responsive. Dependencies are deliberately not checked,
+	// so a Redis or provider outage never gets the container restarted.
+	app.get("/livez", (req, res) => {
+		res.json({ status: 'ok', uptime: process.uptime() });
+	});
+
+	// Readiness: 503 while draining, or when Redis is down and READYZ_REQUIRE_REDIS is set.
+	// Lookups still work without Redis or with a provider circuit open, so those report
+	// `degraded` with a 200 rather than pulling every replica out of the load balancer.
+	app.get("/readyz", async (req, res) => {
+		const redisCheck = await checkRedis();
+		const providers = geoProvider.status();
+		const geolocation = {
+			status: providers.every(provider => provider.circuit.state === 'open') ? 'down'
+				: providers.some(provider => provider.circuit.state !== 'closed') ? 'degraded' : 'up',
+			providers
+		};
+
+		const ready = !shuttingDown && (redisCheck.status === 'up' || !READINESS.REQUIRE_REDIS);
+		const healthy = redisCheck.status === 'up' && geolocation.status === 'up';
+
+		res.status(ready ? 200 : 503).json({
+			status: shuttingDown ? 'shutting_down' : !ready ? 'not_ready' : healthy ? 'ready' : 'degraded',
+			checks: {
+				redis: redisCheck,
+				geolocation
+			}
+		});
+	});
+
+	app.get("/metrics", async (req, res) => {
+		res.setHeader('Content-Type', metrics.register.contentType);
+		res.send(await metrics.register.metrics());
+	});
+
+	// DNS records for a name from this service's resolver, e.g. /dns/example.com?type=MX,TXT
+	app.get("/dns/:name", requireScope('lookup'), async (req, res) => {
+		const startTime = Date.now();
+		const name = parseDnsName(req.params.name);
+		const types = parseRecordTypes(req.query.type);
+
+		if (name.error || types.error) {
+			return res.status(400).json({
+				error: {
+					code: name.error ? 'invalid_dns_name' : 'invalid_record_type',
+					message: name.error || types.error
+				}
+			});
+		}
+
+		const userAgent = parseUserAgent(req.headers['user-agent']);
+		const negotiated = negotiateFormat(req, { isBrowser: userAgent.isBrowser });
+		if (negotiated.error) {
+			return sendFormatError(res, negotiated.error);
+		}
+
+		const results = await Promise.all(types.value.map(type => queryDnsWithCache(name.value, type)));
+		const answers = results.map(({ answer }) => answer);
+		const response = {
+			currentTs: new Date(),
+			name: name.value,
+			resolver: dnsResolver.describe(),
+			answers
+		};
+
+		const nxdomain = answers.every(answer => answer.error?.code === 'ENOTFOUND');
+
+		logger.info({
+			event: 'dns_query_performance',
+			name: name.value,
+			types: types.value,
+			cacheStatuses: results.map(({ cacheStatus }) => cacheStatus),
+			failedTypes: answers.filter(answer => answer.error).map(answer => answer.type),
+			nxdomain,
+			totalRequestTimeMs: Date.now() - startTime,
+			responseFormat: negotiated.format
+		}, `DNS query for ${name.value} completed`);
+
+		res.status(nxdomain ? 404 : 200);
+		sendLookupResponse(req, res, negotiated.format, response, generateDnsHTML);
+	});
+
+	// Great-circle distance between the geolocations of two addresses, with each one's local time
+	app.get("/distance", requireScope('lookup'), async (req, res) => {
+		const startTime = Date.now();
+		const endpoints = ['from', 'to'].map(param => ({ param, parsed: parseLookupTarget(typeof req.query[param] === 'string' ? req.query[param] : '') }));
+		const invalid = endpoints.find(({ parsed }) => parsed.type !== 'ip');
+		if (invalid) {
+			return res.status(400).json({
+				error: {
+					code: 'invalid_distance_query',
+					message: `${invalid.param} must be an IPv4 or IPv6 address`
+				}
+			});
+		}
+
+		const negotiated = negotiateFormat(req, { isBrowser: false });
+		if (negotiated.error) {
+			return sendFormatError(res, negotiated.error);
+		}
+
+		const [from, to] = await Promise.all(endpoints.map(async ({ parsed }) => {
+			const classification = classifyAddress(parsed.value);
+			const endpoint = { ip: parsed.value, family: parsed.family, classification, geolocation: null };
+			if (!classification.isGlobal) {
+				endpoint.error = { code: 'location_unavailable', message: `${parsed.value} is a ${classification.name} address and has no location` };
+				return endpoint;
+			}
+			try {
+				({ result: endpoint.geolocation } = await getGeolocationWithCache(parsed.value));
+			} catch (err) {
+				endpoint.error = err.transient
+					? { code: 'geolocation_unavailable', message: err.message }
+					: { code: 'location_unavailable', message: `No location for ${parsed.value}: ${err.message}` };
+			}
+			return endpoint;
+		}));
+
+		const distance = greatCircle(from.geolocation, to.geolocation);
+		if (!distance) {
+			// A provider outage is worth retrying; an address without a location is not
+			const failed = [from, to].find(endpoint => endpoint.error?.code === 'geolocation_unavailable')
+				|| [from, to].find(endpoint => !hasCoordinates(endpoint.geolocation));
+			const error = failed.error || { code: 'location_unavailable', message: `No coordinates for ${failed.ip}` };
+			return res.status(error.code === 'geolocation_unavailable' ? 503 : 422).json({ error: { ...error, ip: failed.ip } });
+		}
+
+		const response = {
+			currentTs: new Date(),
+			from: { ip: from.ip, family: from.family, geolocation: from.geolocation, localTime: localTimeIn(from.geolocation.timezone) },
+			to: { ip: to.ip, family: to.family, geolocation: to.geolocation, localTime: localTimeIn(to.geolocation.timezone) },
+			distance
+		};
+		// How far `to`'s clock is ahead of `from`'s
+		response.utcOffsetDifferenceMinutes = response.from.localTime && response.to.localTime
+			? response.to.localTime.utcOffsetMinutes - response.from.localTime.utcOffsetMinutes
+			: null;
+
+		logger.info({
+			event: 'distance_lookup_performance',
+			from: from.ip,
+			to: to.ip,
+			distanceKm: distance.km,
+			totalRequestTimeMs: Date.now() - startTime,
+			responseFormat: negotiated.format
+		}, `Distance from ${from.ip} to ${to.ip}: ${distance.km} km`);
+
+		// There is no HTML view of a distance, so browsers get JSON
+		sendLookupResponse(req, res, negotiated.format === 'html' ? 'json' : negotiated.format, response);
+	});
+
+	// Files browsers and crawlers ask for on their own. They parse as hostnames, so
+	// without this /:target would answer them with 401s that bury real auth failures.
+	app.get(BROWSER_PATHS, (req, res) => {
+		res.status(404).send("404: Page not Found");
+	});
+
+	// Lookup an arbitrary IP address or hostname instead of the caller's own address
+	app.get("/:target", requireScope('lookup'), async (req, res) => {
+		const startTime = Date.now();
+		const parsed = parseLookupTarget(req.params.target);
+
+		if (parsed.error) {
+			logger.warn({
+				event: 'target_validation_failure',
+				target: req.params.target,
+				error: parsed.error
+			}, `Invalid lookup target: ${parsed.error}`);
+
+			return res.status(400).json({
+				error: {
+					code: 'invalid_target',
+					message: parsed.error,
+					target: req.params.target
+				}
+			});
+		}
+
+		const isBrowser = parseUserAgent(req.headers['user-agent']).isBrowser;
+		const negotiated = negotiateFormat(req, { isBrowser });
+		if (negotiated.error) {
+			return sendFormatError(res, negotiated.error);
+		}
+		const response = {
+			currentTs: new Date(),
+			target: parsed.value,
+			targetType: parsed.type
+		};
+
+		if (parsed.type === 'ip') {
+			const { classification, reputation, reverseLookup, reverseDns, geolocation, localTime, distance, network } = await lookupAddress(parsed.value);
+			Object.assign(response, { ip: parsed.value, family: parsed.family, classification, reputation, reverseLookup, reverseDns, geolocation, localTime, distance, network });
+		} else {
+			let resolved;
+			try {
+				resolved = await dnsResolver.resolveHostname(parsed.value);
+			} catch (err) {
+				const notFound = NO_DATA_CODES.has(err.code);
+
+				logger.warn({
+					event: 'forward_dns_lookup_failure',
+					hostname: parsed.value,
+					errorCode: err.code,
+					error: err.message
+				}, `Forward DNS lookup failed for ${parsed.value}`);
+
+				return res.status(notFound ? 404 : 502).json({
+					error: {
+						code: notFound ? 'target_not_found' : 'dns_lookup_failed',
+						message: err.message,
+						target: parsed.value
+					}
+				});
+			}
+
+			logger.info({
+				event: 'forward_dns_lookup_success',
+				hostname: parsed.value,
+				addressCount: resolved.length
+			}, `Resolved ${parsed.value} to ${resolved.length} address(es)`);
+
+			// Every address costs upstream lookups, so a name with many records is enriched
+			// only up to TARGET_MAX_ADDRESSES, taking IPv4 and IPv6 in turn
+			const selected = resolved.length > BATCH.TARGET_MAX_ADDRESSES
+				? interleaveFamilies(resolved).slice(0, BATCH.TARGET_MAX_ADDRESSES)
+				: resolved;
+			if (!await chargeAddresses(res, selected.length)) return;
+
+			response.hostname = parsed.value;
+			response.addressCount = resolved.length;
+			response.truncated = selected.length < resolved.length;
+			response.addresses = await mapWithConcurrency(selected, BATCH.CONCURRENCY, async ({ ip, family }) => {
+				const { classification, reputation, reverseLookup, reverseDns, geolocation, localTime, distance, network } = await lookupAddress(ip);
+				return { ip, family, classification, reputation, reverseLookup, reverseDns, geolocation, localTime, distance, network };
+			});
+		}
+
+		logger.info({
+			event: 'target_lookup_performance',
+			target: parsed.value,
+			targetType: parsed.type,
+			totalRequestTimeMs: Date.now() - startTime,
+			isBrowserRequest: isBrowser,
+			responseFormat: negotiated.format,
+			formatSource: negotiated.reason
+		}, 'Target lookup completed');
+
+		sendLookupResponse(req, res, negotiated.format, response);
+	});
+
+	app.use(function (req, res) {
+		logger.warn({
+			event: 'route_not_found',
+			method: req.method,
+			url: req.url,
+			userAgent: req.headers['user-agent'],
+			clientIp: req.ip || req.connection?.remoteAddress
+		}, `404 - Route not found: ${req.method} ${req.url}`);
+
+		res.status(404).send("404: Page not Found");
+	});
+
+	app.use(function (error, req, res, next) {
+		// Client errors raised by middleware, e.g. malformed or oversized request bodies
+		if (error.status >= 400 && error.status < 500) {
+			logger.warn({
+				event: 'client_error',
+				errorType: error.type,
+				error: error.message,
+				method: req.method,
+				url: req.url
+			}, `${error.status} - ${error.message}`);
+
+			return res.status(error.status).json({
+				error: {
+					code: error.type || 'bad_request',
+					message: error.message
+				}
+			});
+		}
+
+		logger.error({
+			event: 'server_error',
+			error: {
+				message: error.message,
+				stack: error.stack,
+				name: error.name
+			},
+			method: req.method,
+			url: req.url,
+			userAgent: req.headers['user-agent'],
+			clientIp: req.ip || req.connection?.remoteAddress
+		}, `500 - Internal server error: ${error.message}`);
+
+		res.status(500).send("500: Internal Server Error");
+	});
+
+	// Cache key for per-network data; IPv6 clients usually hold a whole /64, so with
+	// CACHE_IPV6_PREFIX=64 one entry serves every address in it
+	function subnetCacheKey(namespace, ip) {
+		if (CACHE_IPV6_PREFIX < 128 && net.isIPv6(ip)) {
+			return `${namespace}:${networkOf(ip, CACHE_IPV6_PREFIX)}`;
+		}
+		return `${namespace}:${ip}`;
+	}
+
+	// Lookups in progress by cache key; concurrent misses for one key share a single lookup
+	const inFlight = new Map();
+
+	function singleFlight(cacheKey, load) {
+		let pending = inFlight.get(cacheKey);
+		if (!pending) {
+			pending = load().finally(() => inFlight.delete(cacheKey));
+			inFlight.set(cacheKey, pending);
+		}
+		return pending;
+	}
+
+	// Decode an expired in-memory entry and refresh it in the background;
+	// undefined when there is no usable stale entry
+	function takeStale(cacheKey, cacheType, load) {
+		const value = decodeCachedValue(cacheKey, lookupCache.getStale(cacheKey));
+		if (value === undefined) return undefined;
+
+		if (!inFlight.has(cacheKey)) {
+			singleFlight(cacheKey, load).catch(err => {
+				logger.warn({
+					event: 'cache_refresh_failed',
+					cacheType,
+					cacheKey,
+					error: err.message
+				}, 'Background cache refresh failed');
+			});
+		}
+
+		logger.info({
+			event: 'cache_stale_hit',
+			cacheType,
+			cacheKey
+		}, 'Serving stale cache entry while refreshing');
+		metrics.cacheLookups.inc({ cache_type: cacheType, result: 'stale' });
+		return value;
+	}
+
+	// Cached forward-confirmed reverse DNS; resolves to { result: { ptrRecords, forwardConfirmed } | null, cacheStatus }
+	async function reverseDnsWithCache(ip) {
+		const cacheKey = `dns:${ip}`;
+		const load = () => reverseDnsLookup(ip, cacheKey);
+
+		// Try cache first
+		const cached = await lookupCache.get(cacheKey);
+		if (cached) {
+			try {
+				const result = decodeEntry(cacheKey, cached);
+				// Check if this is a cached failure (null result)
+				const isFailure = result === null;
+				logger.info({
+					event: 'cache_hit',
+					cacheType: 'dns',
+					clientIp: ip,
+					cacheKey,
+					ptrRecords: result?.ptrRecords.map(record => record.name),
+					forwardConfirmed: result?.forwardConfirmed,
+					isNegativeCache: isFailure
+				}, isFailure ? 'DNS negative cache hit' : 'DNS cache hit');
+				metrics.cacheLookups.inc({ cache_type: 'dns', result: isFailure ? 'negative_hit' : 'hit' });
+				return { result, cacheStatus: isFailure ? 'negative_hit' : 'hit' };
+			} catch (err) {
+				logger.warn({
+					event: 'cache_parse_error',
+					cacheType: 'dns',
+					key: cacheKey,
+					error: err.message
+				}, 'Failed to parse cached DNS result');
+			}
+		}
+
+		const stale = takeStale(cacheKey, 'dns', load);
+		if (stale !== undefined) return { result: stale, cacheStatus: 'stale' };
+
+		// Cache miss, perform lookup unless another request already is
+		const coalesced = inFlight.has(cacheKey);
+		logger.info({
+			event: 'cache_miss',
+			cacheType: 'dns',
+			clientIp: ip,
+			cacheKey,
+			coalesced
+		}, 'DNS cache miss - performing lookup');
+		metrics.cacheLookups.inc({ cache_type: 'dns', result: coalesced ? 'coalesced' : 'miss' });
+
+		return singleFlight(cacheKey, load);
+	}
+
+	// Reverse DNS lookup that writes the cache, including failures
+	async function reverseDnsLookup(ip, cacheKey) {
+		try {
+			const result = await dnsResolver.reverseLookup(ip);
+			// Forward lookups that timed out may confirm next time, so keep those results briefly
+			const ttl = result.ptrRecords.some(record => record.error) ? CACHE_TTL.NEGATIVE : CACHE_TTL.DNS;
+			const cached = await lookupCache.set(cacheKey, result, ttl);
+			logger.info({
+				event: 'cache_set',
+				cacheType: 'dns',
+				clientIp: ip,
+				cacheKey,
+				ptrRecords: result.ptrRecords.map(record => record.name),
+				forwardConfirmed: result.forwardConfirmed,
+				ttl,
+				cached
+			}, 'DNS result cached');
+			return { result, cacheStatus: 'miss' };
+		} catch (error) {
+			// Cache the failure with shorter TTL
+			const cached = await lookupCache.set(cacheKey, null, CACHE_TTL.NEGATIVE);
+			logger.info({
+				event: 'negative_cache_set',
+				cacheType: 'dns',
+				clientIp: ip,
+				cacheKey,
+				error: error.message,
+				ttl: CACHE_TTL.NEGATIVE,
+				cached
+			}, 'DNS failure cached');
+			throw error;
+		}
+	}
+
+	// Cached version of geolocation lookup; resolves to { result, cacheStatus }
+	async function getGeolocationWithCache(ip) {
+		const cacheKey = subnetCacheKey('geo', ip);
+		const load = () => geolocationLookup(ip, cacheKey);
+
+		// Try cache first
+		const cached = await lookupCache.get(cacheKey);
+		if (cached) {
+			try {
+				const result = decodeEntry(cacheKey, cached);
+				// Check if this is a cached failure (null result)
+				const isFailure = result === null;
+				logger.info({
+					event: 'cache_hit',
+					cacheType: 'geolocation',
+					clientIp: ip,
+					cacheKey,
+					country: result?.country,
+					countryCode: result?.countryCode,
+					region: result?.region,
+					city: result?.city,
+					isNegativeCache: isFailure
+				}, isFailure ? 'Geolocation negative cache hit' : 'Geolocation cache hit');
+				metrics.cacheLookups.inc({ cache_type: 'geolocation', result: isFailure ? 'negative_hit' : 'hit' });
+				return { result, cacheStatus: isFailure ? 'negative_hit' : 'hit' };
+			} catch (err) {
+				logger.warn({
+					event: 'cache_parse_error',
+					cacheType: 'geolocation',
+					key: cacheKey,
+					error: err.message
+				}, 'Failed to parse cached geolocation result');
+			}
+		}
+
+		const stale = takeStale(cacheKey, 'geolocation', load);
+		if (stale !== undefined) return { result: stale, cacheStatus: 'stale' };
+
+		// Cache miss, perform lookup unless another request already is
+		const coalesced = inFlight.has(cacheKey);
+		logger.info({
+			event: 'cache_miss',
+			cacheType: 'geolocation',
+			clientIp: ip,
+			cacheKey,
+			coalesced
+		}, 'Geolocation cache miss - performing API request');
+		metrics.cacheLookups.inc({ cache_type: 'geolocation', result: coalesced ? 'coalesced' : 'miss' });
+
+		return singleFlight(cacheKey, load);
+	}
+
+	// Provider lookup that writes the cache; transient failures are not cached
+	async function geolocationLookup(ip, cacheKey) {
+		try {
+			const result = await geoProvider.lookup(ip);
+			if (result) {
+				const cached = await lookupCache.set(cacheKey, result, CACHE_TTL.GEO);
+				logger.info({
+					event: 'cache_set',
+					cacheType: 'geolocation',
+					clientIp: ip,
+					cacheKey,
+					country: result.country,
+					countryCode: result.countryCode,
+					region: result.region,
+					city: result.city,
+					ttl: CACHE_TTL.GEO,
+					cached
+				}, 'Geolocation result cached');
+			}
+			return { result, cacheStatus: 'miss' };
+		} catch (error) {
+			// Timeouts, 5xx and open circuits say nothing about the address - retry on the next request
+			if (error.transient) {
+				logger.info({
+					event: 'negative_cache_skipped',
+					cacheType: 'geolocation',
+					clientIp: ip,
+					cacheKey,
+					error: error.message
+				}, 'Transient geolocation failure not cached');
+				throw error;
+			}
+
+			// Cache the failure with shorter TTL
+			const cached = await lookupCache.set(cacheKey, null, CACHE_TTL.NEGATIVE);
+			logger.info({
+				event: 'negative_cache_set',
+				cacheType: 'geolocation',
+				clientIp: ip,
+				cacheKey,
+				error: error.message,
+				ttl: CACHE_TTL.NEGATIVE,
+				cached
+			}, 'Geolocation failure cached');
+			throw error;
+		}
+	}
+
+	// Cached network ownership lookup; resolves to { result, cacheStatus }
+	async function getNetworkWithCache(ip) {
+		const cacheKey = subnetCacheKey('asn', ip);
+
+		const cached = await lookupCache.get(cacheKey);
+		if (cached) {
+			try {
+				const result = decodeEntry(cacheKey, cached);
+				const isFailure = result === null;
+				logger.info({
+					event: 'cache_hit',
+					cacheType: 'asn',
+					clientIp: ip,
+					cacheKey,
+					asn: result?.asn,
+					isNegativeCache: isFailure
+				}, isFailure ? 'ASN negative cache hit' : 'ASN cache hit');
+				metrics.cacheLookups.inc({ cache_type: 'asn', result: isFailure ? 'negative_hit' : 'hit' });
+				return { result, cacheStatus: isFailure ? 'negative_hit' : 'hit' };
+			} catch (err) {
+				logger.warn({
+					event: 'cache_parse_error',
+					cacheType: 'asn',
+					key: cacheKey,
+					error: err.message
+				}, 'Failed to parse cached ASN result');
+			}
+		}
+
+		logger.info({
+			event: 'cache_miss',
+			cacheType: 'asn',
+			clientIp: ip,
+			cacheKey
+		}, 'ASN cache miss - looking up local datasets');
+		metrics.cacheLookups.inc({ cache_type: 'asn', result: 'miss' });
+
+		const result = asnDatabase.lookup(ip);
+		// A dataset still on its first load may be missing from the answer; don't keep it
+		if (asnDatabase.loading) return { result, cacheStatus: 'miss' };
+
+		// Addresses outside every dataset are cached as null with the shorter TTL
+		const ttl = result ? CACHE_TTL.ASN : CACHE_TTL.NEGATIVE;
+		const stored = await lookupCache.set(cacheKey, result, ttl);
+		logger.info({
+			event: result ? 'cache_set' : 'negative_cache_set',
+			cacheType: 'asn',
+			clientIp: ip,
+			cacheKey,
+			asn: result?.asn,
+			prefix: result?.prefix,
+			ttl,
+			cached: stored
+		}, result ? 'ASN result cached' : 'ASN miss cached');
+
+		return { result, cacheStatus: 'miss' };
+	}
+
+	// Cached DNS query for one record type; resolves to { answer, cacheStatus }.
+	// Answers are kept for their lowest record TTL and served with the remaining TTL.
+	async function queryDnsWithCache(name, type) {
+		const cacheKey = `dnsq:${type}:${name}`;
+
+		const load = () => dnsQueryLookup(name, type, cacheKey);
+
+		const cached = await lookupCache.get(cacheKey);
+		if (cached) {
+			try {
+				const answer = withRemainingTtl(decodeEntry(cacheKey, cached));
+				metrics.cacheLookups.inc({ cache_type: 'dns_query', result: answer.error ? 'negative_hit' : 'hit' });
+				return { answer, cacheStatus: answer.error ? 'negative_hit' : 'hit' };
+			} catch (err) {
+				logger.warn({
+					event: 'cache_parse_error',
+					cacheType: 'dns_query',
+					key: cacheKey,
+					error: err.message
+				}, 'Failed to parse cached DNS answer');
+			}
+		}
+
+		const stale = takeStale(cacheKey, 'dns_query', load);
+		if (stale !== undefined) return { answer: withRemainingTtl(stale), cacheStatus: 'stale' };
+
+		metrics.cacheLookups.inc({ cache_type: 'dns_query', result: inFlight.has(cacheKey) ? 'coalesced' : 'miss' });
+		return singleFlight(cacheKey, load);
+	}
+
+	// Resolver query that writes the cache; timeouts and SERVFAIL are not cached
+	async function dnsQueryLookup(name, type, cacheKey) {
+		let answer;
+		let ttl;
+		try {
+			answer = await dnsResolver.query(name, type);
+			ttl = answer.records.length === 0
+				? CACHE_TTL.DNS_QUERY_NEGATIVE
+				: Math.min(Math.max(answer.ttl ?? CACHE_TTL.DNS_QUERY_DEFAULT, 1), CACHE_TTL.DNS_QUERY_MAX);
+		} catch (err) {
+			answer = { type, ttl: null, records: [], error: { code: err.code || 'EUNKNOWN', message: err.message } };
+			// Only NXDOMAIN is an answer; timeouts and SERVFAIL are retried on the next request
+			ttl = NO_DATA_CODES.has(err.code) ? CACHE_TTL.DNS_QUERY_NEGATIVE : null;
+
+			logger.warn({
+				event: 'dns_query_failure',
+				name,
+				recordType: type,
+				errorCode: err.code,
+				error: err.message
+			}, `DNS ${type} query for ${name} failed`);
+		}
+
+		if (ttl !== null) {
+			await lookupCache.set(cacheKey, { ...answer, fetchedAt: Date.now() }, ttl);
+		}
+		return { answer, cacheStatus: 'miss' };
+	}
+
+	return {
+		app,
+		userAgentStore,
+		lookupAddress,
+		lookupClient,
+		reverseDnsWithCache,
+		getGeolocationWithCache,
+		getNetworkWithCache,
+		queryDnsWithCache,
+		// Fail /readyz and close keep-alive connections; call before server.close()
+		startDraining: () => {
+			shuttingDown = true;
+		}
+	};
+}
+
+module.exports = {
+	appConfigFromEnv,
+	createApp,
+	parseLookupTarget,
+	parseDnsName,
+	parseRecordTypes
+};
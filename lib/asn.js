@@ -0,0 +1,237 @@
+const fs = require("fs");
+const readline = require("readline");
+const stream = require("stream");
+const zlib = require("zlib");
+const { Reader } = require("maxmind");
+const { formatAddress, parseAddress, rangeToCidrs } = require("./cidr");
+const { watchForReload } = require("./file-watch");
+const { createRangeTable } = require("./range-table");
+
+// Network ownership for an address: origin ASN and announced prefix from an
+// ip2asn TSV (iptoasn.com) or a GeoLite2/DB-IP ASN .mmdb, plus the RIR and
+// allocation date from RIR delegated-extended stats files. All sources are
+// optional and hot-reloaded when their files are replaced.
+
+const RIR_NAMES = {
+	afrinic: 'AFRINIC',
+	apnic: 'APNIC',
+	arin: 'ARIN',
+	lacnic: 'LACNIC',
+	ripencc: 'RIPE NCC'
+};
+
+// Lines of a text file, gunzipped when it ends in .gz. The file is streamed so that
+// parsing a large dataset yields to the event loop between chunks.
+async function* readLines(filePath) {
+	const file = fs.createReadStream(filePath);
+	const input = filePath.endsWith('.gz') ? stream.pipeline(file, zlib.createGunzip(), () => {}) : file;
+	let failure = null;
+	input.on('error', err => {
+		failure = err;
+	});
+
+	yield* readline.createInterface({ input, crlfDelay: Infinity });
+	if (failure) throw failure;
+}
+
+// ip2asn lines: range_start, range_end, AS number, country, AS description (tab separated)
+async function loadIp2Asn(filePath) {
+	const table = createRangeTable();
+	// Ranges of one AS share a value object
+	const owners = new Map();
+
+	for await (const line of readLines(filePath)) {
+		const [startText, endText, asnText, country, description] = line.split('\t');
+		const asn = parseInt(asnText, 10);
+		// AS 0 marks address space that isn't announced
+		if (!asn || !description) continue;
+
+		const start = parseAddress(startText);
+		const end = parseAddress(endText);
+		if (!start || !end || start.family !== end.family || start.value > end.value) continue;
+
+		const ownerKey = `${asn}\t${country}\t${description}`;
+		if (!owners.has(ownerKey)) {
+			owners.set(ownerKey, { asn, asName: description.trim(), country: country === 'None' ? null : country });
+		}
+		table.add(start.family, start.value, end.value, owners.get(ownerKey));
+	}
+	table.build();
+	return table;
+}
+
+// RIR delegated-extended lines: registry|cc|type|start|value|date|status[|opaque-id]
+async function loadDelegatedStats(filePath) {
+	const table = createRangeTable();
+	// Records with the same registry, country, date and status share a value object
+	const allocations = new Map();
+
+	for await (const line of readLines(filePath)) {
+		const [registry, country, type, startText, valueText, date, status] = line.split('|');
+		if ((type !== 'ipv4' && type !== 'ipv6') || !['allocated', 'assigned'].includes(status)) continue;
+
+		const start = parseAddress(startText);
+		const size = parseInt(valueText, 10);
+		if (!start || !(size > 0)) continue;
+
+		const allocationKey = `${registry}|${country}|${date}|${status}`;
+		if (!allocations.has(allocationKey)) {
+			allocations.set(allocationKey, {
+				rir: RIR_NAMES[registry] || registry.toUpperCase(),
+				country: country || null,
+				allocated: /^\d{8}$/.test(date) && date !== '00000000'
+					? `${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6, 8)}`
+					: null,
+				status
+			});
+		}
+
+		// IPv4 records count addresses; IPv6 records give a prefix length
+		const end = type === 'ipv4'
+			? start.value + BigInt(size) - 1n
+			: start.value | ((1n << BigInt(128 - size)) - 1n);
+		table.add(start.family, start.value, end, allocations.get(allocationKey));
+	}
+	table.build();
+	return table;
+}
+
+// The CIDR block of a range that holds `ip`; ranges needn't be aligned to one prefix
+function blockContaining({ family, start, end }, ip) {
+	const { value } = parseAddress(ip);
+	const bits = family === 4 ? 32 : 128;
+	const block = rangeToCidrs(family, start, end).find(({ network, prefix }) => value >> BigInt(bits - prefix) === network >> BigInt(bits - prefix));
+	return `${formatAddress(family, block.network)}/${block.prefix}`;
+}
+
+function createAsnDatabase({ logger, ip2asnPath, mmdbPath, delegatedPaths = [], watchIntervalMs = 60000 }) {
+	const sources = {};
+
+	// The text datasets are parsed in the background; mmdb files are read on demand
+	const loaders = {
+		ip2asn: async filePath => ({ table: await loadIp2Asn(filePath) }),
+		mmdb: filePath => ({ reader: new Reader(fs.readFileSync(filePath)) }),
+		delegated: async filePath => ({ table: await loadDelegatedStats(filePath) })
+	};
+
+	// The old copy keeps answering until the new one is complete
+	async function load(kind, filePath) {
+		const startTime = Date.now();
+		const source = { kind, path: filePath, ...await loaders[kind](filePath) };
+		sources[filePath] = source;
+
+		logger.info({
+			event: 'asn_dataset_loaded',
+			datasetType: kind,
+			datasetPath: filePath,
+			ranges: source.table ? source.table.size() : null,
+			loadTimeMs: Date.now() - startTime
+		}, `Loaded ${kind} dataset ${filePath}`);
+	}
+
+	const configured = [
+		['ip2asn', ip2asnPath],
+		['mmdb', mmdbPath],
+		...delegatedPaths.map(filePath => ['delegated', filePath])
+	].filter(([, filePath]) => filePath);
+
+	let pending = 0;
+	const unwatchers = [];
+	for (const [kind, filePath] of configured) {
+		// A missing file is a configuration error, reported at startup like the mmdb provider's
+		fs.accessSync(filePath, fs.constants.R_OK);
+		pending++;
+		load(kind, filePath)
+			.catch(err => {
+				logger.error({
+					event: 'asn_dataset_load_failed',
+					datasetType: kind,
+					datasetPath: filePath,
+					error: err.message
+				}, `Failed to load ${kind} dataset - lookups continue without it`);
+			})
+			.finally(() => {
+				pending--;
+			});
+
+		if (watchIntervalMs > 0) {
+			unwatchers.push(watchForReload({
+				filePath,
+				intervalMs: watchIntervalMs,
+				logger,
+				event: 'asn_dataset',
+				fields: { datasetType: kind, datasetPath: filePath },
+				description: `${kind} dataset`,
+				reload: () => load(kind, filePath)
+			}));
+		}
+	}
+
+	function lookupOrigin(ip) {
+		const ip2asn = ip2asnPath && sources[ip2asnPath];
+		if (ip2asn) {
+			const match = ip2asn.table.lookup(ip);
+			if (match) return { ...match.value, prefix: blockContaining(match, ip), source: 'ip2asn' };
+		}
+
+		const mmdb = mmdbPath && sources[mmdbPath];
+		if (mmdb) {
+			const [record, prefixLength] = mmdb.reader.getWithPrefixLength(ip);
+			if (record?.autonomous_system_number) {
+				const { family, value } = parseAddress(ip);
+				const hostBits = BigInt((family === 4 ? 32 : 128) - prefixLength);
+				return {
+					asn: record.autonomous_system_number,
+					asName: record.autonomous_system_organization || null,
+					country: null,
+					prefix: `${formatAddress(family, (value >> hostBits) << hostBits)}/${prefixLength}`,
+					source: 'mmdb'
+				};
+			}
+		}
+		return null;
+	}
+
+	function lookupAllocation(ip) {
+		for (const filePath of delegatedPaths) {
+			const match = sources[filePath]?.table?.lookup(ip);
+			if (match) return { ...match.value, allocatedPrefix: blockContaining(match, ip) };
+		}
+		return null;
+	}
+
+	// Network ownership for an address, or null when no dataset covers it
+	function lookup(ip) {
+		const origin = lookupOrigin(ip);
+		const allocation = lookupAllocation(ip);
+		if (!origin && !allocation) return null;
+
+		return {
+			asn: origin?.asn ?? null,
+			asName: origin?.asName ?? null,
+			prefix: origin?.prefix ?? null,
+			country: origin?.country ?? allocation?.country ?? null,
+			rir: allocation?.rir ?? null,
+			allocated: allocation?.allocated ?? null,
+			allocatedPrefix: allocation?.allocatedPrefix ?? null,
+			registryStatus: allocation?.status ?? null,
+			source: origin?.source ?? 'delegated'
+		};
+	}
+
+	function close() {
+		for (const unwatch of unwatchers) unwatch();
+	}
+
+	return {
+		enabled: configured.length > 0,
+		// True until every dataset has finished its first load
+		get loading() {
+			return pending > 0;
+		},
+		lookup,
+		close
+	};
+}
+
+module.exports = { createAsnDatabase };
@@ -0,0 +1,256 @@
+// Lookup cache namespaces: the key prefix, the cache_type used in metrics and logs,
+// and the schema version of the stored values. Bump a version whenever the shape of
+// that namespace's values changes; entries written under any other version read as
+// misses and are replaced on the next lookup. dns and geo start at 2 because their
+// first formats (a single PTR name, raw ip-api responses) predate versioning.
+const CACHE_NAMESPACES = {
+	dns: { cacheType: 'dns', schemaVersion: 2 },
+	geo: { cacheType: 'geolocation', schemaVersion: 2 },
+	asn: { cacheType: 'asn', schemaVersion: 1 },
+	dnsq: { cacheType: 'dns_query', schemaVersion: 1 }
+};
+
+// Namespace of a key or SCAN pattern; null unless it starts with "<namespace>:"
+function namespaceOf(key) {
+	const separator = key.indexOf(':');
+	if (separator === -1) return null;
+	const prefix = key.slice(0, separator);
+	return Object.hasOwn(CACHE_NAMESPACES, prefix) ? prefix : null;
+}
+
+function schemaVersionOf(key) {
+	return CACHE_NAMESPACES[namespaceOf(key)]?.schemaVersion ?? 1;
+}
+
+// Unwrap a stored JSON string; throws when it is malformed or from another schema version
+function decodeEntry(key, raw) {
+	const entry = JSON.parse(raw);
+	const expected = schemaVersionOf(key);
+	if (entry === null || typeof entry !== 'object' || entry.v !== expected) {
+		throw new Error(`Cached value has schema version ${entry?.v ?? 'none'}, expected ${expected}`);
+	}
+	return entry.value;
+}
+
+// Redis glob (as used by SCAN MATCH) as a RegExp, for applying the same pattern to the
+// in-memory tier. Supports *, ? and backslash escapes; anything else matches literally.
+function globToRegExp(pattern) {
+	let source = '';
+	for (let i = 0; i < pattern.length; i++) {
+		const char = pattern[i];
+		if (char === '*') source += '.*';
+		else if (char === '?') source += '.';
+		else if (char === '\\' && i + 1 < pattern.length) source += escapeRegExp(pattern[++i]);
+		else source += escapeRegExp(char);
+	}
+	return new RegExp(`^${source}$`, 's');
+}
+
+function escapeRegExp(char) {
+	return char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+// Lookup cache on Redis. Values are stored as JSON and read back as raw strings,
+// so callers decide how to decode (and reject) what they find. Every operation
+// degrades to a miss or a no-op while Redis is unavailable.
+function createRedisCache({ redisClient, logger }) {
+	// A value with the seconds Redis has left on it (null without an expiry), so the
+	// in-memory tier can expire its copy at the same time; null when missing
+	async function getWithTtl(key) {
+		try {
+			if (!redisClient.isReady) return null;
+			const [value, ttlMs] = await redisClient.multi().get(key).pTTL(key).exec();
+			if (value === null) return null;
+			return { value, ttl: ttlMs > 0 ? ttlMs / 1000 : null };
+		} catch (err) {
+			logger.warn({
+				event: 'redis_get_error',
+				key,
+				error: err.message
+			}, 'Redis GET failed');
+			return null;
+		}
+	}
+
+	// Read several keys in one round trip; missing keys (or no Redis) come back as null
+	async function getMany(keys) {
+		try {
+			if (!redisClient.isReady || keys.length === 0) return keys.map(() => null);
+			return await redisClient.mGet(keys);
+		} catch (err) {
+			logger.warn({
+				event: 'redis_mget_error',
+				keyCount: keys.length,
+				error: err.message
+			}, 'Redis MGET failed');
+			return keys.map(() => null);
+		}
+	}
+
+	// Resolves to whether the value was stored
+	async function set(key, value, ttl) {
+		try {
+			if (!redisClient.isReady) return false;
+			await redisClient.setEx(key, ttl, JSON.stringify(value));
+			return true;
+		} catch (err) {
+			logger.warn({
+				event: 'redis_set_error',
+				key,
+				error: err.message
+			}, 'Redis SET failed');
+			return false;
+		}
+	}
+
+	// Keys matching a glob, found with SCAN so a large keyspace never blocks Redis the way KEYS would.
+	// For the admin routes, which check isReady() first; errors are thrown.
+	async function* scanKeys(pattern) {
+		yield* redisClient.scanIterator({ MATCH: pattern, COUNT: 500 });
+	}
+
+	// UNLINK (non-blocking DEL); resolves to the number of keys that existed
+	async function remove(keys) {
+		if (keys.length === 0) return 0;
+		return redisClient.unlink(keys);
+	}
+
+	// PING with a deadline, for readiness checks; throws when Redis doesn't answer in time
+	async function ping(timeoutMs) {
+		let timer;
+		try {
+			await Promise.race([
+				redisClient.ping(),
+				new Promise((resolve, reject) => {
+					timer = setTimeout(() => reject(new Error(`no reply within ${timeoutMs}ms`)), timeoutMs);
+				})
+			]);
+		} finally {
+			clearTimeout(timer);
+		}
+	}
+
+	return {
+		isReady: () => redisClient.isReady,
+		getWithTtl,
+		getMany,
+		set,
+		scanKeys,
+		remove,
+		ping
+	};
+}
+
+// Bounded in-process LRU in front of `remote` (see createRedisCache). Entries expire
+// with the TTL they were written with, or whatever Redis had left when they were read
+// from there, and stay available to getStale() for `staleTtl` more seconds so callers
+// can answer from them while refreshing. Values are the JSON strings Redis holds, so
+// both tiers decode the same way (see decodeEntry). Writes go to both tiers; with Redis down, lookups
+// are still cached in memory.
+function createTieredCache({ remote, maxEntries, staleTtl }) {
+	// Oldest first: Map iteration order is insertion order, and reads re-insert
+	const entries = new Map();
+
+	function remember(key, value, ttl) {
+		if (maxEntries <= 0) return;
+		const expiresAt = ttl === null ? Infinity : Date.now() + ttl * 1000;
+		entries.delete(key);
+		entries.set(key, { value, expiresAt, staleUntil: expiresAt + staleTtl * 1000 });
+		if (entries.size > maxEntries) {
+			entries.delete(entries.keys().next().value);
+		}
+	}
+
+	// The entry for `key`, fresh or stale, marked as most recently used
+	function touch(key) {
+		const entry = entries.get(key);
+		if (!entry) return null;
+		entries.delete(key);
+		if (Date.now() >= entry.staleUntil) return null;
+		entries.set(key, entry);
+		return entry;
+	}
+
+	function fresh(key) {
+		const entry = touch(key);
+		return entry && Date.now() < entry.expiresAt ? entry.value : null;
+	}
+
+	// Memory first, then Redis; only unexpired values
+	async function get(key) {
+		const value = fresh(key);
+		if (value !== null) return value;
+
+		const stored = await remote.getWithTtl(key);
+		if (!stored) return null;
+		remember(key, stored.value, stored.ttl);
+		return stored.value;
+	}
+
+	// An expired value still inside the stale window; memory only, null when there is none
+	function getStale(key) {
+		return touch(key)?.value ?? null;
+	}
+
+	// Keys missing from memory are read from Redis in one MGET. MGET carries no TTLs,
+	// so those values are returned without being copied into memory.
+	async function getMany(keys) {
+		const values = keys.map(fresh);
+		const missing = keys.filter((key, index) => values[index] === null);
+		if (missing.length === 0) return values;
+
+		const fetched = await remote.getMany(missing);
+		let next = 0;
+		return values.map(value => value ?? fetched[next++]);
+	}
+
+	// Resolves to whether Redis stored the value; memory always does. Values are
+	// wrapped with their namespace's schema version.
+	async function set(key, value, ttl) {
+		const entry = { v: schemaVersionOf(key), value };
+		remember(key, JSON.stringify(entry), ttl);
+		return remote.set(key, entry, ttl);
+	}
+
+	// The in-memory entry for `key` with the seconds until it expires (negative once
+	// stale), without counting as a use; null when there is none
+	function peek(key) {
+		const entry = entries.get(key);
+		if (!entry || Date.now() >= entry.staleUntil) return null;
+		const ttl = entry.expiresAt === Infinity ? null : (entry.expiresAt - Date.now()) / 1000;
+		return { value: entry.value, ttl, stale: ttl !== null && ttl <= 0 };
+	}
+
+	// Drop every in-memory entry whose key passes `test`; resolves to how many were dropped
+	function purge(test) {
+		let purged = 0;
+		for (const key of entries.keys()) {
+			if (test(key)) {
+				entries.delete(key);
+				purged++;
+			}
+		}
+		return purged;
+	}
+
+	return {
+		isReady: remote.isReady,
+		ping: remote.ping,
+		get,
+		getStale,
+		getMany,
+		set,
+		peek,
+		purge,
+		keys: () => entries.keys()
+	};
+}
+
+module.exports = {
+	CACHE_NAMESPACES,
+	namespaceOf,
+	decodeEntry,
+	globToRegExp,
+	createRedisCache,
+	createTieredCache
+};
@@ -0,0 +1,157 @@
+const net = require("net");
+
+// Parse an IPv4/IPv6 literal into its family and numeric value.
+// IPv4-mapped IPv6 addresses (::ffff:1.2.3.4) are treated as IPv4.
+function parseAddress(address) {
+	if (typeof address !== 'string') return null;
+
+	const family = net.isIP(address);
+	if (family === 4) {
+		return { family: 4, value: ipv4ToBigInt(address) };
+	}
+	if (family !== 6) return null;
+
+	const value = ipv6ToBigInt(address);
+	if ((value >> 32n) === 0xffffn) {
+		return { family: 4, value: value & 0xffffffffn };
+	}
+	return { family: 6, value };
+}
+
+function ipv4ToBigInt(address) {
+	return address.split('.').reduce((acc, octet) => (acc << 8n) + BigInt(parseInt(octet, 10)), 0n);
+}
+
+function ipv6ToBigInt(address) {
+	let text = address.split('%')[0];
+
+	// Convert an embedded dotted quad tail into two hex groups
+	const dotted = text.match(/(\d+\.\d+\.\d+\.\d+)$/);
+	if (dotted) {
+		const v4 = ipv4ToBigInt(dotted[1]);
+		text = text.slice(0, -dotted[1].length) + `${(v4 >> 16n).toString(16)}:${(v4 & 0xffffn).toString(16)}`;
+	}
+
+	const [head, tail] = text.split('::');
+	const headGroups = head ? head.split(':') : [];
+	const tailGroups = tail ? tail.split(':') : [];
+	const missing = 8 - headGroups.length - tailGroups.length;
+	const groups = text.includes('::')
+		? [...headGroups, ...Array(missing).fill('0'), ...tailGroups]
+		: headGroups;
+
+	return groups.reduce((acc, group) => (acc << 16n) + BigInt(parseInt(group, 16)), 0n);
+}
+
+// Format a numeric address; IPv6 uses the RFC 5952 compressed form
+function formatAddress(family, value) {
+	if (family === 4) {
+		return [24n, 16n, 8n, 0n].map(shift => String((value >> shift) & 0xffn)).join('.');
+	}
+
+	const groups = [];
+	for (let shift = 112n; shift >= 0n; shift -= 16n) {
+		groups.push(Number((value >> shift) & 0xffffn));
+	}
+
+	// Compress the longest run of two or more zero groups, the first one on a tie
+	let bestStart = -1;
+	let bestLength = 1;
+	for (let start = 0; start < 8; start++) {
+		let length = 0;
+		while (start + length < 8 && groups[start + length] === 0) length++;
+		if (length > bestLength) {
+			bestStart = start;
+			bestLength = length;
+		}
+	}
+
+	const hex = groups.map(group => group.toString(16));
+	if (bestStart === -1) return hex.join(':');
+	return `${hex.slice(0, bestStart).join(':')}::${hex.slice(bestStart + bestLength).join(':')}`;
+}
+
+// Split an inclusive start-end range into the minimal list of { network, prefix } blocks
+function rangeToCidrs(family, start, end) {
+	const bits = family === 4 ? 32 : 128;
+	const blocks = [];
+
+	while (start <= end) {
+		// Largest block aligned at `start` that doesn't run past `end`
+		let size = 0;
+		while (size < bits && ((start >> BigInt(size)) & 1n) === 0n && start + (1n << BigInt(size + 1)) - 1n <= end) {
+			size++;
+		}
+		blocks.push({ network: start, prefix: bits - size });
+		start += 1n << BigInt(size);
+	}
+	return blocks;
+}
+
+// Parse "10.0.0.0/8" or "2001:db8::/32"; a bare address is a host route
+function parseCidr(cidr) {
+	const [address, prefixText] = String(cidr).trim().split('/');
+	const parsed = parseAddress(address);
+	if (!parsed) {
+		throw new Error(`Invalid CIDR address: ${cidr}`);
+	}
+
+	// Mapped IPv6 prefixes (::ffff:0:0/96 and longer) collapse onto IPv4
+	const mapped = parsed.family === 4 && net.isIP(address) === 6;
+	const bits = parsed.family === 4 ? 32 : 128;
+	let prefix = prefixText === undefined ? (mapped ? 128 : bits) : Number(prefixText);
+	if (!Number.isInteger(prefix) || prefix < 0 || prefix > (mapped ? 128 : bits)) {
+		throw new Error(`Invalid CIDR prefix length: ${cidr}`);
+	}
+	if (mapped) {
+		prefix = Math.max(prefix - 96, 0);
+	}
+
+	const mask = prefix === 0 ? 0n : ((1n << BigInt(prefix)) - 1n) << BigInt(bits - prefix);
+	return {
+		cidr: String(cidr).trim(),
+		family: parsed.family,
+		prefix,
+		network: parsed.value & mask,
+		mask
+	};
+}
+
+function cidrContains(range, address) {
+	const parsed = typeof address === 'string' ? parseAddress(address) : address;
+	if (!parsed || parsed.family !== range.family) return false;
+	return (parsed.value & range.mask) === range.network;
+}
+
+// Build a matcher over a list of CIDRs; match() returns the matching CIDR string or null
+function createCidrMatcher(cidrs) {
+	const ranges = cidrs.map(parseCidr);
+
+	return {
+		ranges,
+		match(address) {
+			const parsed = parseAddress(address);
+			if (!parsed) return null;
+			const range = ranges.find(candidate => cidrContains(candidate, parsed));
+			return range ? range.cidr : null;
+		}
+	};
+}
+
+// The `prefix`-bit network containing an address, as "network/prefix"
+function networkOf(address, prefix) {
+	const parsed = parseAddress(address);
+	if (!parsed) return null;
+	const hostBits = BigInt((parsed.family === 4 ? 32 : 128) - prefix);
+	return `${formatAddress(parsed.family, (parsed.value >> hostBits) << hostBits)}/${prefix}`;
+}
+
+module.exports = {
+	parseAddress,
+	formatAddress,
+	networkOf,
+	rangeToCidrs,
+	parseCidr,
+	cidrContains,
+	createCidrMatcher
+};
@@ -0,0 +1,113 @@
+// Count-based circuit breaker: closed -> open when the failure rate over the
+// last `windowSize` calls crosses the threshold, open -> half-open after
+// `openDurationMs`, and a single half-open trial decides closed or open again.
+// Calls slower than `slowCallMs` count as failures.
+class CircuitOpenError extends Error {
+	constructor(name) {
+		super(`Circuit breaker for ${name} is open`);
+		this.name = 'CircuitOpenError';
+		this.transient = true;
+	}
+}
+
+function createCircuitBreaker({
+	name,
+	logger,
+	windowSize = 20,
+	minimumRequests = 5,
+	failureRateThreshold = 0.5,
+	slowCallMs = 1500,
+	openDurationMs = 30000,
+	now = Date.now
+}) {
+	let state = 'closed';
+	let outcomes = [];
+	let openedAt = null;
+	let trialInFlight = false;
+
+	function transition(next, details = {}) {
+		const previous = state;
+		state = next;
+		logger[next === 'closed' ? 'info' : 'warn']({
+			event: 'circuit_breaker_state_change',
+			breaker: name,
+			previousState: previous,
+			state: next,
+			...details
+		}, `Circuit breaker ${name} ${previous} -> ${next}`);
+	}
+
+	function failureRate() {
+		if (outcomes.length === 0) return 0;
+		return outcomes.filter(ok => !ok).length / outcomes.length;
+	}
+
+	function tryAcquire() {
+		if (state === 'open' && now() - openedAt >= openDurationMs) {
+			transition('half-open');
+		}
+		if (state === 'closed') return true;
+		if (state === 'half-open' && !trialInFlight) {
+			trialInFlight = true;
+			return true;
+		}
+		return false;
+	}
+
+	function record(ok) {
+		if (state === 'half-open') {
+			trialInFlight = false;
+			outcomes = [];
+			if (ok) {
+				transition('closed');
+			} else {
+				openedAt = now();
+				transition('open', { reason: 'half-open trial failed' });
+			}
+			return;
+		}
+
+		outcomes.push(ok);
+		if (outcomes.length > windowSize) outcomes.shift();
+
+		const rate = failureRate();
+		if (state === 'closed' && outcomes.length >= minimumRequests && rate >= failureRateThreshold) {
+			openedAt = now();
+			transition('open', { failureRate: rate, sampleSize: outcomes.length });
+		}
+	}
+
+	// Run fn through the breaker; isFailure decides which errors count against the provider
+	async function execute(fn, { isFailure = () => true } = {}) {
+		if (!tryAcquire()) {
+			throw new CircuitOpenError(name);
+		}
+
+		const start = now();
+		try {
+			const result = await fn();
+			record(now() - start <= slowCallMs);
+			return result;
+		} catch (err) {
+			record(!isFailure(err) && now() - start <= slowCallMs);
+			throw err;
+		}
+	}
+
+	function status() {
+		return {
+			name,
+			state,
+			failureRate: failureRate(),
+			sampleSize: outcomes.length,
+			openedAt: openedAt && state !== 'closed' ? new Date(openedAt).toISOString() : null
+		};
+	}
+
+	return { execute, status };
+}
+
+module.exports = {
+	CircuitOpenError,
+	createCircuitBreaker
+};
@@ -0,0 +1,215 @@
+const net = require("net");
+const { createCidrMatcher } = require("./cidr");
+
+// Named groups that can be used in TRUSTED_PROXIES alongside literal CIDRs
+const TRUSTED_PROXY_PRESETS = {
+	loopback: ['127.0.0.0/8', '::1/128'],
+	private: ['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16', 'fc00::/7'],
+	linklocal: ['169.254.0.0/16', 'fe80::/10'],
+	// https://www.cloudflare.com/ips/
+	cloudflare: [
+		'173.245.48.0/20', '103.21.244.0/22', '103.22.200.0/22', '103.31.4.0/22',
+		'141.101.64.0/18', '108.162.192.0/18', '190.93.240.0/20', '188.114.96.0/20',
+		'197.234.240.0/22', '198.41.128.0/17', '162.158.0.0/15', '104.16.0.0/13',
+		'104.24.0.0/14', '172.64.0.0/13', '131.0.72.0/22',
+		'2400:cb00::/32', '2606:4700::/32', '2803:f800::/32', '2405:b500::/32',
+		'2405:8100::/32', '2a06:98c0::/29', '2c0f:f248::/32'
+	]
+};
+
+// Single-value headers that are only honoured when the connecting peer is a trusted proxy
+const SINGLE_IP_HEADERS = [
+	'cf-connecting-ip',
+	'x-real-ip',
+	'x-client-ip',
+	'x-cluster-client-ip'
+];
+
+// Headers TRUSTED_PROXY_HEADER can name; the two multi-hop headers plus the single-value ones
+const CLIENT_IP_HEADERS = ['x-forwarded-for', 'forwarded', ...SINGLE_IP_HEADERS];
+
+// Expand a comma-separated list of CIDRs and preset names into CIDRs
+function expandTrustedProxies(spec) {
+	return String(spec || '')
+		.split(',')
+		.map(entry => entry.trim())
+		.filter(Boolean)
+		.flatMap(entry => TRUSTED_PROXY_PRESETS[entry.toLowerCase()] || [entry]);
+}
+
+// Split on a delimiter, ignoring delimiters inside quoted strings
+function splitOutsideQuotes(value, delimiter) {
+	const parts = [];
+	let current = '';
+	let quoted = false;
+
+	for (let i = 0; i < value.length; i++) {
+		const char = value[i];
+		if (char === '"' && value[i - 1] !== '\\') {
+			quoted = !quoted;
+		}
+		if (char === delimiter && !quoted) {
+			parts.push(current);
+			current = '';
+		} else {
+			current += char;
+		}
+	}
+	parts.push(current);
+	return parts.map(part => part.trim()).filter(Boolean);
+}
+
+function unquote(value) {
+	if (value.length >= 2 && value.startsWith('"') && value.endsWith('"')) {
+		return value.slice(1, -1).replace(/\\(.)/g, '$1');
+	}
+	return value;
+}
+
+// Parse an RFC 7239 node identifier: "192.0.2.43:47011", "[2001:db8::1]:4711", "unknown", "_hidden"
+function parseNode(value) {
+	if (!value) return null;
+
+	if (value.startsWith('[')) {
+		const end = value.indexOf(']');
+		if (end === -1) return { raw: value, address: null };
+		const port = value.slice(end + 1).replace(/^:/, '') || null;
+		return { raw: value, address: value.slice(1, end), port };
+	}
+
+	if (net.isIP(value)) {
+		return { raw: value, address: value, port: null };
+	}
+
+	const match = value.match(/^([^:]+):([^:]+)$/);
+	if (match && net.isIP(match[1]) === 4) {
+		return { raw: value, address: match[1], port: match[2] };
+	}
+
+	// "unknown" or an obfuscated identifier
+	return { raw: value, address: null, port: null };
+}
+
+// Parse the Forwarded header into one entry per proxy, left (client) to right
+function parseForwardedHeader(header) {
+	if (!header) return [];
+
+	return splitOutsideQuotes(header, ',').map(element => {
+		const entry = {};
+		for (const pair of splitOutsideQuotes(element, ';')) {
+			const eq = pair.indexOf('=');
+			if (eq === -1) continue;
+			const key = pair.slice(0, eq).trim().toLowerCase();
+			const value = unquote(pair.slice(eq + 1).trim());
+			entry[key] = key === 'for' || key === 'by' ? parseNode(value) : value;
+		}
+		return entry;
+	});
+}
+
+function normalizeHeaderValue(value) {
+	return Array.isArray(value) ? value.join(',') : value;
+}
+
+// Create a resolver that picks the right-most untrusted hop as the client IP. Only
+// `trustedHeader`, the one the trusted proxies write, is read: a proxy that appends
+// to X-Forwarded-For passes any Forwarded or X-Real-IP header from the client through
+// untouched, so reading those would let the client choose its own address.
+function createClientIpResolver({ trustedProxies = [], trustedHeader = 'x-forwarded-for' } = {}) {
+	const matcher = createCidrMatcher(trustedProxies);
+	const header = String(trustedHeader).toLowerCase();
+	if (!CLIENT_IP_HEADERS.includes(header)) {
+		throw new Error(`Unknown client IP header "${trustedHeader}" (expected one of: ${CLIENT_IP_HEADERS.join(', ')})`);
+	}
+
+	function evaluate(address) {
+		if (!address || !net.isIP(address)) {
+			return { trusted: false, reason: 'not a valid IP address' };
+		}
+		const matched = matcher.match(address);
+		return matched
+			? { trusted: true, reason: `matches trusted proxy range ${matched}` }
+			: { trusted: false, reason: 'not in trusted proxy list' };
+	}
+
+	function resolve(req) {
+		const headers = req.headers || {};
+		const remoteAddress = req.socket?.remoteAddress || req.connection?.remoteAddress || null;
+
+		// Candidate hops from the client side through to the connecting peer
+		let hops = [];
+		let source = null;
+
+		const value = normalizeHeaderValue(headers[header]);
+
+		if (value && header === 'forwarded') {
+			source = 'forwarded';
+			hops = parseForwardedHeader(value).map(entry => ({
+				address: entry.for?.address || null,
+				raw: entry.for?.raw || null,
+				port: entry.for?.port || null,
+				proto: entry.proto || null,
+				source
+			}));
+		} else if (value && header === 'x-forwarded-for') {
+			source = 'x-forwarded-for';
+			hops = value.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+				const node = parseNode(entry);
+				return { address: node.address, raw: entry, port: node.port, proto: null, source };
+			});
+		} else if (value) {
+			let address = value.trim();
+			// Handle escaped IP addresses
+			if (address.startsWith("\\")) address = address.slice(1);
+			source = header;
+			hops = [{ address: net.isIP(address) ? address : null, raw: address, port: null, proto: null, source }];
+		}
+
+		hops.push({ address: remoteAddress, raw: remoteAddress, port: req.socket?.remotePort || null, proto: null, source: 'connection' });
+
+		// Walk right to left while hops are trusted proxies
+		let selectedIndex = hops.length - 1;
+		let stopped = false;
+		for (let i = hops.length - 1; i >= 0; i--) {
+			const hop = hops[i];
+			if (stopped) {
+				hop.trusted = null;
+				hop.reason = 'not evaluated: closer hop is not a trusted proxy';
+				continue;
+			}
+
+			Object.assign(hop, evaluate(hop.address));
+			selectedIndex = i;
+			if (!hop.trusted) {
+				stopped = true;
+			}
+		}
+
+		// A trusted proxy reporting "unknown" or an obfuscated client leaves that proxy as the best answer
+		if (!hops[selectedIndex].address && selectedIndex < hops.length - 1) {
+			selectedIndex++;
+		}
+
+		// If every hop is a trusted proxy, the left-most one is the client
+		const selected = hops[selectedIndex];
+		hops.forEach((hop, index) => {
+			hop.selected = index === selectedIndex;
+		});
+
+		return {
+			ip: selected.address || null,
+			source: selected.source,
+			headerSource: source,
+			hops
+		};
+	}
+
+	return { resolve };
+}
+
+module.exports = {
+	TRUSTED_PROXY_PRESETS,
+	expandTrustedProxies,
+	parseForwardedHeader,
+	createClientIpResolver
+};
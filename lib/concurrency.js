@@ -0,0 +1,18 @@
+// Map over items with at most `limit` calls of fn in flight; results keep input order
+async function mapWithConcurrency(items, limit, fn) {
+	const results = new Array(items.length);
+	let next = 0;
+
+	async function worker() {
+		while (next < items.length) {
+			const index = next++;
+			results[index] = await fn(items[index], index);
+		}
+	}
+
+	const workers = Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, worker);
+	await Promise.all(workers);
+	return results;
+}
+
+module.exports = { mapWithConcurrency };
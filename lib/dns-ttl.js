@@ -0,0 +1,212 @@
+const crypto = require("crypto");
+const dgram = require("dgram");
+const net = require("net");
+
+// Node's resolver only reports TTLs for A and AAAA. For the other /dns/:name types
+// the TTL comes from one extra query, read straight from the answer section. Each
+// configured nameserver is tried in turn until one gives a usable reply; a truncated
+// UDP reply is retried over TCP. With no usable reply the TTL is null.
+
+// RR type codes (RFC 1035, RFC 2782, RFC 8659)
+const TYPE_CODES = { CNAME: 5, MX: 15, NS: 2, TXT: 16, SOA: 6, CAA: 257, SRV: 33 };
+
+const FLAG_QR = 0x8000;
+const FLAG_TC = 0x0200;
+// SERVFAIL and REFUSED say nothing about the name, so the next server is asked
+const RETRY_RCODES = new Set([2, 5]);
+
+// Resolver#getServers() entries: "1.1.1.1", "1.1.1.1:5353", "2001:db8::1" or "[2001:db8::1]:5353"
+function parseServer(server) {
+	const bracketed = server.match(/^\[(.+)\](?::(\d+))?$/);
+	if (bracketed) return { address: bracketed[1], port: Number(bracketed[2] || 53) };
+	if (net.isIP(server)) return { address: server, port: 53 };
+	const [address, port] = server.split(':');
+	return { address, port: Number(port || 53) };
+}
+
+function encodeQuery(id, name, typeCode) {
+	const header = Buffer.alloc(12);
+	header.writeUInt16BE(id, 0);
+	header.writeUInt16BE(0x0100, 2); // Recursion desired
+	header.writeUInt16BE(1, 4); // One question
+
+	const labels = name.split('.').filter(Boolean).map(label => {
+		const bytes = Buffer.from(label, 'ascii');
+		return Buffer.concat([Buffer.from([bytes.length]), bytes]);
+	});
+
+	const question = Buffer.alloc(4);
+	question.writeUInt16BE(typeCode, 0);
+	question.writeUInt16BE(1, 2); // Class IN
+	return Buffer.concat([header, ...labels, Buffer.from([0]), question]);
+}
+
+// Offset just past a name, which may end in a compression pointer
+function skipName(message, offset) {
+	while (offset < message.length) {
+		const length = message[offset];
+		if (length === 0) return offset + 1;
+		if ((length & 0xc0) === 0xc0) return offset + 2;
+		offset += length + 1;
+	}
+	throw new Error('Name runs past the end of the message');
+}
+
+// An uncompressed name, as in the question section: { name, end }
+function readName(message, offset) {
+	const labels = [];
+	while (offset < message.length) {
+		const length = message[offset];
+		if (length === 0) return { name: labels.join('.'), end: offset + 1 };
+		if ((length & 0xc0) !== 0) break;
+		labels.push(message.toString('ascii', offset + 1, offset + 1 + length));
+		offset += length + 1;
+	}
+	throw new Error('Malformed question name');
+}
+
+// Whether `message` is the response to this query: same id, QR set, and the one
+// question echoed back with the same name, type and class
+function isReplyTo(message, id, name, typeCode) {
+	if (message.length < 12 || message.readUInt16BE(0) !== id) return false;
+	if (!(message.readUInt16BE(2) & FLAG_QR) || message.readUInt16BE(4) !== 1) return false;
+
+	try {
+		const question = readName(message, 12);
+		return question.end + 4 <= message.length
+			&& question.name.toLowerCase() === name.replace(/\.$/, '').toLowerCase()
+			&& message.readUInt16BE(question.end) === typeCode
+			&& message.readUInt16BE(question.end + 2) === 1;
+	} catch (err) {
+		return false;
+	}
+}
+
+// Lowest TTL in the answer section, covering any CNAME chain; null without answers
+function answerTtl(message) {
+	const questions = message.readUInt16BE(4);
+	const answers = message.readUInt16BE(6);
+	if (answers === 0) return null;
+
+	let offset = 12;
+	for (let i = 0; i < questions; i++) {
+		offset = skipName(message, offset) + 4;
+	}
+
+	let ttl = null;
+	for (let i = 0; i < answers; i++) {
+		offset = skipName(message, offset);
+		if (offset + 10 > message.length) break;
+		const recordTtl = message.readUInt32BE(offset + 4);
+		ttl = ttl === null ? recordTtl : Math.min(ttl, recordTtl);
+		offset += 10 + message.readUInt16BE(offset + 8);
+	}
+	return ttl;
+}
+
+// Send `query` over UDP and resolve to the first datagram isReply() accepts, or null
+function exchangeUdp({ address, port }, query, isReply, timeoutMs) {
+	return new Promise(resolve => {
+		const socket = dgram.createSocket(net.isIPv6(address) ? 'udp6' : 'udp4');
+		let done = false;
+
+		function finish(message) {
+			if (done) return;
+			done = true;
+			clearTimeout(timer);
+			socket.close();
+			resolve(message);
+		}
+
+		const timer = setTimeout(() => finish(null), timeoutMs);
+		socket.on('error', () => finish(null));
+		// Anything that isn't the reply to this query is ignored
+		socket.on('message', message => {
+			if (isReply(message)) finish(message);
+		});
+		// A connected socket only receives datagrams from the server it asked
+		socket.connect(port, address, err => {
+			if (err) return finish(null);
+			socket.send(query, sendErr => {
+				if (sendErr) finish(null);
+			});
+		});
+	});
+}
+
+// Send `query` over TCP with its two-byte length prefix (RFC 1035 §4.2.2); resolves to the reply or null
+function exchangeTcp({ address, port }, query, isReply, timeoutMs) {
+	return new Promise(resolve => {
+		const socket = net.connect({ host: address, port });
+		const chunks = [];
+		let received = 0;
+		let done = false;
+
+		function finish(message) {
+			if (done) return;
+			done = true;
+			clearTimeout(timer);
+			socket.destroy();
+			resolve(message);
+		}
+
+		const timer = setTimeout(() => finish(null), timeoutMs);
+		socket.on('error', () => finish(null));
+		socket.on('close', () => finish(null));
+		socket.on('data', chunk => {
+			chunks.push(chunk);
+			received += chunk.length;
+			if (received < 2) return;
+
+			const data = Buffer.concat(chunks);
+			const length = data.readUInt16BE(0);
+			if (data.length < 2 + length) return;
+			const message = data.subarray(2, 2 + length);
+			finish(isReply(message) ? message : null);
+		});
+
+		const prefix = Buffer.alloc(2);
+		prefix.writeUInt16BE(query.length, 0);
+		socket.write(Buffer.concat([prefix, query]));
+	});
+}
+
+// { ttl } from one nameserver, or null when it gave no usable reply
+async function askServer(server, name, typeCode, timeoutMs) {
+	const id = crypto.randomInt(0x10000);
+	const query = encodeQuery(id, name, typeCode);
+	const isReply = message => isReplyTo(message, id, name, typeCode);
+
+	let message = await exchangeUdp(server, query, isReply, timeoutMs);
+	if (message && message.readUInt16BE(2) & FLAG_TC) {
+		message = await exchangeTcp(server, query, isReply, timeoutMs);
+	}
+	if (!message) return null;
+
+	const rcode = message.readUInt16BE(2) & 0x000f;
+	if (RETRY_RCODES.has(rcode)) return null;
+	try {
+		// NXDOMAIN and other answers without records are final, with no TTL
+		return { ttl: rcode === 0 ? answerTtl(message) : null };
+	} catch (err) {
+		return null;
+	}
+}
+
+// TTL of `type` records for `name`, asking each of `servers` (Resolver#getServers()
+// entries) in turn with `timeoutMs` each; resolves to null rather than throwing
+async function queryTtl(servers, name, type, timeoutMs) {
+	const typeCode = TYPE_CODES[type];
+	if (!typeCode) return null;
+
+	for (const server of servers) {
+		const result = await askServer(parseServer(server), name, typeCode, timeoutMs);
+		if (result) return result.ttl;
+	}
+	return null;
+}
+
+module.exports = {
+	TYPE_CODES,
+	queryTtl
+};
@@ -0,0 +1,34 @@
+const fs = require("fs");
+
+// Re-run `reload` when a data file is replaced (new mtime, not empty). `reload` may
+// return a promise; while it runs further changes are ignored, and if it fails the
+// caller keeps its previous copy. Logs `${event}_reloaded` / `${event}_reload_failed`
+// with `fields`. Returns a function that stops watching.
+function watchForReload({ filePath, intervalMs, logger, event, fields, description, reload }) {
+	let reloading = false;
+
+	function onChange(curr, prev) {
+		if (curr.mtimeMs === prev.mtimeMs || curr.size === 0 || reloading) return;
+		reloading = true;
+
+		Promise.resolve()
+			.then(reload)
+			.then(() => {
+				logger.info({ event: `${event}_reloaded`, ...fields }, `Reloaded ${description} after file change`);
+			}, err => {
+				logger.error({
+					event: `${event}_reload_failed`,
+					...fields,
+					error: err.message
+				}, `Failed to reload ${description} - keeping previous version`);
+			})
+			.finally(() => {
+				reloading = false;
+			});
+	}
+
+	fs.watchFile(filePath, { interval: intervalMs, persistent: false }, onChange);
+	return () => fs.unwatchFile(filePath, onChange);
+}
+
+module.exports = { watchForReload };
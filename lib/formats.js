@@ -0,0 +1,236 @@
+// Output formats for lookup responses and how a request picks one.
+// HTML is rendered by the caller; everything else is serialized here.
+
+const FORMATS = {
+	html: 'text/html; charset=utf-8',
+	json: 'application/json; charset=utf-8',
+	text: 'text/plain; charset=utf-8',
+	ip: 'text/plain; charset=utf-8',
+	yaml: 'application/yaml; charset=utf-8',
+	xml: 'application/xml; charset=utf-8',
+	csv: 'text/csv; charset=utf-8'
+};
+
+const FORMAT_ALIASES = {
+	txt: 'text',
+	kv: 'text',
+	yml: 'yaml'
+};
+
+// Media types we negotiate on, most specific first
+const ACCEPT_TYPES = {
+	'text/html': 'html',
+	'application/xhtml+xml': 'html',
+	'application/json': 'json',
+	'text/plain': 'text',
+	'application/yaml': 'yaml',
+	'application/x-yaml': 'yaml',
+	'text/yaml': 'yaml',
+	'application/xml': 'xml',
+	'text/xml': 'xml',
+	'text/csv': 'csv'
+};
+
+function resolveFormatName(name) {
+	const normalized = String(name).toLowerCase();
+	const format = FORMAT_ALIASES[normalized] || normalized;
+	return FORMATS[format] ? format : null;
+}
+
+// Pick a format: route (/json, /yaml, ...) > ?format= > explicit Accept > browser HTML / JSON.
+// Returns { format } or { error } for an unknown ?format= value.
+function negotiateFormat(req, { routeFormat = null, isBrowser = false } = {}) {
+	if (routeFormat) {
+		return { format: routeFormat, reason: 'route' };
+	}
+
+	if (req.query?.format !== undefined) {
+		const format = resolveFormatName(req.query.format);
+		return format
+			? { format, reason: 'query' }
+			: { error: `Unsupported format "${req.query.format}" (expected one of: ${Object.keys(FORMATS).join(', ')})` };
+	}
+
+	// Only honour Accept when it names a type we serve; "*/*" alone falls through
+	const accept = req.headers.accept || '';
+	const named = Object.keys(ACCEPT_TYPES).filter(type => accept.toLowerCase().includes(type));
+	if (named.length > 0) {
+		const preferred = req.accepts(named);
+		if (preferred) {
+			return { format: ACCEPT_TYPES[preferred], reason: 'accept' };
+		}
+	}
+
+	return { format: isBrowser ? 'html' : 'json', reason: 'user-agent' };
+}
+
+// Flatten nested data into [dotted.key, value] pairs, skipping null/undefined
+function flatten(value, prefix = '', pairs = []) {
+	if (value === null || value === undefined) {
+		return pairs;
+	}
+	if (value instanceof Date) {
+		pairs.push([prefix, value.toISOString()]);
+	} else if (Array.isArray(value)) {
+		value.forEach((item, index) => flatten(item, prefix ? `${prefix}.${index}` : String(index), pairs));
+	} else if (typeof value === 'object') {
+		for (const [key, item] of Object.entries(value)) {
+			flatten(item, prefix ? `${prefix}.${key}` : key, pairs);
+		}
+	} else {
+		pairs.push([prefix, value]);
+	}
+	return pairs;
+}
+
+// Keep only the listed dotted paths, e.g. ["ip", "geolocation.country"]; unknown paths are dropped
+function projectFields(data, fields) {
+	const result = {};
+	for (const field of fields) {
+		const keys = field.split('.');
+		let value = data;
+		for (const key of keys) {
+			value = value !== null && typeof value === 'object' && Object.hasOwn(value, key) ? value[key] : undefined;
+		}
+		if (value === undefined) continue;
+
+		let target = result;
+		keys.slice(0, -1).forEach(key => {
+			if (target[key] === null || typeof target[key] !== 'object') target[key] = {};
+			target = target[key];
+		});
+		target[keys[keys.length - 1]] = value;
+	}
+	return result;
+}
+
+function toKeyValue(data) {
+	return flatten(data).map(([key, value]) => `${key}=${String(value).replace(/[\r\n]+/g, ' ')}`).join('\n') + '\n';
+}
+
+function yamlScalar(value) {
+	if (value === null || value === undefined) return 'null';
+	if (value instanceof Date) return value.toISOString();
+	if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+	// JSON strings are valid YAML double-quoted scalars
+	const plain = /^[A-Za-z0-9_/][A-Za-z0-9 _./:@+,()-]*$/.test(value)
+		&& !/: | #|\s$/.test(value)
+		&& !/^(true|false|null|yes|no|on|off|~|[\d.:+-]+)$/i.test(value);
+	return plain ? value : JSON.stringify(value);
+}
+
+function yamlKey(key) {
+	return /^[A-Za-z_][A-Za-z0-9_-]*$/.test(key) ? key : JSON.stringify(key);
+}
+
+function toYamlLines(value, indent) {
+	const pad = '  '.repeat(indent);
+
+	if (Array.isArray(value)) {
+		if (value.length === 0) return [`${pad}[]`];
+		return value.flatMap(item => {
+			if (item !== null && typeof item === 'object' && !(item instanceof Date)) {
+				const [first, ...rest] = toYamlLines(item, indent + 1);
+				return [`${pad}- ${first.trimStart()}`, ...rest];
+			}
+			return [`${pad}- ${yamlScalar(item)}`];
+		});
+	}
+
+	const entries = Object.entries(value).filter(([, item]) => item !== undefined);
+	if (entries.length === 0) return [`${pad}{}`];
+	return entries.flatMap(([key, item]) => {
+		if (item !== null && typeof item === 'object' && !(item instanceof Date)) {
+			const isEmpty = Array.isArray(item) ? item.length === 0 : Object.keys(item).length === 0;
+			if (isEmpty) return [`${pad}${yamlKey(key)}: ${Array.isArray(item) ? '[]' : '{}'}`];
+			return [`${pad}${yamlKey(key)}:`, ...toYamlLines(item, indent + 1)];
+		}
+		return [`${pad}${yamlKey(key)}: ${yamlScalar(item)}`];
+	});
+}
+
+function toYaml(data) {
+	return toYamlLines(data, 0).join('\n') + '\n';
+}
+
+function escapeXml(value) {
+	return String(value)
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;')
+		.replace(/'/g, '&apos;');
+}
+
+// Header names and provider fields aren't always valid XML names
+function xmlName(key) {
+	const name = String(key).replace(/[^A-Za-z0-9_.-]/g, '_');
+	return /^[A-Za-z_]/.test(name) && !/^xml/i.test(name) ? name : `_${name}`;
+}
+
+function toXmlLines(key, value, indent) {
+	const pad = '  '.repeat(indent);
+	const name = xmlName(key);
+
+	if (value === null || value === undefined) {
+		return [`${pad}<${name}/>`];
+	}
+	if (Array.isArray(value)) {
+		return [`${pad}<${name}>`, ...value.flatMap(item => toXmlLines('item', item, indent + 1)), `${pad}</${name}>`];
+	}
+	if (typeof value === 'object' && !(value instanceof Date)) {
+		return [
+			`${pad}<${name}>`,
+			...Object.entries(value).flatMap(([childKey, child]) => toXmlLines(childKey, child, indent + 1)),
+			`${pad}</${name}>`
+		];
+	}
+	const text = value instanceof Date ? value.toISOString() : value;
+	return [`${pad}<${name}>${escapeXml(text)}</${name}>`];
+}
+
+function toXml(data) {
+	return ['<?xml version="1.0" encoding="UTF-8"?>', ...toXmlLines('hostdetail', data, 0)].join('\n') + '\n';
+}
+
+function csvField(value) {
+	const text = String(value);
+	return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One header row of flattened keys and one row of values
+function toCsv(data) {
+	const pairs = flatten(data);
+	return [
+		pairs.map(([key]) => csvField(key)).join(','),
+		pairs.map(([, value]) => csvField(value)).join(',')
+	].join('\r\n') + '\r\n';
+}
+
+// Bare address(es), one per line, for `curl host/ip`
+function toIp(data) {
+	const addresses = data.addresses ? data.addresses.map(entry => entry.ip) : [data.ip];
+	return addresses.filter(Boolean).join('\n') + '\n';
+}
+
+const SERIALIZERS = {
+	json: data => JSON.stringify(data),
+	text: toKeyValue,
+	ip: toIp,
+	yaml: toYaml,
+	xml: toXml,
+	csv: toCsv
+};
+
+function serialize(format, data) {
+	return SERIALIZERS[format](data);
+}
+
+module.exports = {
+	FORMATS,
+	negotiateFormat,
+	resolveFormatName,
+	flatten,
+	projectFields,
+	serialize
+};
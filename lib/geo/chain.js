@@ -0,0 +1,61 @@
+const { createCircuitBreaker } = require("../circuit-breaker");
+const { GeoLookupError } = require("./errors");
+
+// Try providers in order, each behind its own circuit breaker. The first
+// success wins; the combined error is transient if any provider failed
+// transiently or was skipped, so callers only negative-cache real answers.
+function createProviderChain({ providers, logger, metrics, breakerOptions = {} }) {
+	const entries = providers.map(provider => ({
+		provider,
+		breaker: createCircuitBreaker({ ...breakerOptions, name: `geo:${provider.name}`, logger })
+	}));
+
+	async function lookup(ip) {
+		const failures = [];
+
+		for (const { provider, breaker } of entries) {
+			try {
+				return await breaker.execute(() => provider.lookup(ip), {
+					isFailure: err => err.transient !== false
+				});
+			} catch (err) {
+				const transient = err.transient !== false;
+				failures.push({ provider: provider.name, transient, error: err.message });
+				metrics?.upstreamErrors.inc({ provider: provider.name, transient: String(transient) });
+
+				if (entries.length > 1) {
+					logger.warn({
+						event: 'geo_provider_fallthrough',
+						apiProvider: provider.name,
+						clientIp: ip,
+						transient,
+						error: err.message
+					}, `Geolocation provider ${provider.name} failed - trying next provider`);
+				}
+			}
+		}
+
+		const transient = failures.some(failure => failure.transient);
+		const message = failures.map(failure => `${failure.provider}: ${failure.error}`).join('; ');
+		const error = new GeoLookupError(entries.length > 1 ? `All geolocation providers failed (${message})` : failures[0].error, { transient });
+		error.failures = failures;
+		throw error;
+	}
+
+	function status() {
+		return entries.map(({ provider, breaker }) => ({
+			provider: provider.name,
+			circuit: breaker.status()
+		}));
+	}
+
+	function close() {
+		for (const { provider } of entries) {
+			provider.close?.();
+		}
+	}
+
+	return { name: entries.map(entry => entry.provider.name).join(','), lookup, status, close };
+}
+
+module.exports = { createProviderChain };
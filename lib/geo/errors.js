@@ -0,0 +1,13 @@
+// Geolocation failures are either transient (timeouts, 5xx, open circuits) and
+// worth retrying soon, or definitive (private range, not in database) and safe
+// to negative-cache.
+class GeoLookupError extends Error {
+	constructor(message, { provider = null, transient = false, cause } = {}) {
+		super(message, cause ? { cause } : undefined);
+		this.name = 'GeoLookupError';
+		this.provider = provider;
+		this.transient = transient;
+	}
+}
+
+module.exports = { GeoLookupError };
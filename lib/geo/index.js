@@ -0,0 +1,60 @@
+const { createProviderChain } = require("./chain");
+const { createIpApiProvider } = require("./ip-api");
+const { createMmdbProvider } = require("./mmdb");
+
+const PROVIDERS = {
+	'ip-api': (config, logger) => createIpApiProvider({
+		logger,
+		baseUrl: config.ipApiUrl,
+		timeoutMs: config.timeoutMs
+	}),
+	mmdb: (config, logger) => createMmdbProvider({
+		logger,
+		cityPath: config.mmdbCityPath,
+		asnPath: config.mmdbAsnPath,
+		watchIntervalMs: config.mmdbWatchIntervalMs
+	})
+};
+
+// Build the ordered provider chain selected by configuration
+function createGeoProvider(config, { logger, metrics }) {
+	const providers = config.providers.map(name => {
+		const factory = PROVIDERS[name];
+		if (!factory) {
+			throw new Error(`Unknown geolocation provider "${name}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+		}
+		return factory(config, logger);
+	});
+
+	if (providers.length === 0) {
+		throw new Error('At least one geolocation provider must be configured');
+	}
+
+	return createProviderChain({ providers, logger, metrics, breakerOptions: config.breaker });
+}
+
+// Geolocation settings from the environment
+function geoConfigFromEnv(env = process.env) {
+	return {
+		// Ordered fallback chain, e.g. "mmdb,ip-api"
+		providers: (env.GEO_PROVIDER || 'ip-api').split(',').map(name => name.trim()).filter(Boolean),
+		ipApiUrl: env.GEO_IPAPI_URL || 'http://ip-api.com/json/',
+		timeoutMs: parseInt(env.GEO_TIMEOUT_MS || '2000'),
+		mmdbCityPath: env.GEO_MMDB_CITY_PATH,
+		mmdbAsnPath: env.GEO_MMDB_ASN_PATH,
+		mmdbWatchIntervalMs: parseInt(env.GEO_MMDB_WATCH_INTERVAL_MS || '60000'),
+		breaker: {
+			windowSize: parseInt(env.GEO_BREAKER_WINDOW || '20'),
+			minimumRequests: parseInt(env.GEO_BREAKER_MIN_REQUESTS || '5'),
+			failureRateThreshold: parseFloat(env.GEO_BREAKER_FAILURE_RATE || '0.5'),
+			slowCallMs: parseInt(env.GEO_BREAKER_SLOW_MS || '1500'),
+			openDurationMs: parseInt(env.GEO_BREAKER_OPEN_MS || '30000')
+		}
+	};
+}
+
+module.exports = {
+	PROVIDERS,
+	createGeoProvider,
+	geoConfigFromEnv
+};
@@ -0,0 +1,138 @@
+const { GeoLookupError } = require("./errors");
+const { normalizeGeolocation } = require("./schema");
+
+// ip-api.com returns "AS15169 Google LLC" in the `as` field
+function parseAs(value) {
+	const match = typeof value === 'string' ? value.match(/^AS(\d+)\s*(.*)$/) : null;
+	return match ? { asn: parseInt(match[1], 10), asName: match[2] || null } : { asn: null, asName: null };
+}
+
+function createIpApiProvider({ logger, baseUrl = 'http://ip-api.com/json/', timeoutMs = 2000 }) {
+	const name = 'ip-api';
+	const apiProvider = new URL(baseUrl).host;
+
+	async function lookup(ip) {
+		const controller = new AbortController();
+		const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+		const apiUrl = `${baseUrl}${ip}`;
+		const requestStart = Date.now();
+
+		logger.info({
+			event: 'third_party_api_request',
+			apiProvider,
+			apiUrl,
+			clientIp: ip,
+			requestType: 'geolocation'
+		}, 'Making geolocation API request');
+
+		try {
+			const response = await fetch(apiUrl, {
+				signal: controller.signal
+			});
+
+			clearTimeout(timeoutId);
+			const requestDuration = Date.now() - requestStart;
+
+			if (!response.ok) {
+				logger.warn({
+					event: 'third_party_api_error',
+					apiProvider,
+					apiUrl,
+					clientIp: ip,
+					requestType: 'geolocation',
+					httpStatus: response.status,
+					httpStatusText: response.statusText,
+					requestDurationMs: requestDuration
+				}, `Geolocation API HTTP error: ${response.status}`);
+				// Rate limiting and server errors are worth retrying; other 4xx are not
+				throw new GeoLookupError(`HTTP ${response.status}: ${response.statusText}`, {
+					provider: name,
+					transient: response.status === 429 || response.status >= 500
+				});
+			}
+
+			const data = await response.json();
+
+			if (data.status === 'fail') {
+				logger.warn({
+					event: 'third_party_api_failure',
+					apiProvider,
+					apiUrl,
+					clientIp: ip,
+					requestType: 'geolocation',
+					apiResponse: data,
+					requestDurationMs: requestDuration
+				}, `Geolocation API failure: ${data.message || 'Unknown error'}`);
+				// e.g. "private range", "reserved range", "invalid query"
+				throw new GeoLookupError(data.message || 'Geolocation lookup failed', { provider: name, transient: false });
+			}
+
+			logger.info({
+				event: 'third_party_api_success',
+				apiProvider,
+				apiUrl,
+				clientIp: ip,
+				requestType: 'geolocation',
+				country: data.country,
+				countryCode: data.countryCode,
+				region: data.regionName,
+				city: data.city,
+				isp: data.isp,
+				requestDurationMs: requestDuration
+			}, 'Geolocation API request successful');
+
+			return normalizeGeolocation(name, {
+				country: data.country,
+				countryCode: data.countryCode,
+				region: data.regionName,
+				regionCode: data.region,
+				city: data.city,
+				postalCode: data.zip,
+				lat: data.lat,
+				lon: data.lon,
+				timezone: data.timezone,
+				isp: data.isp,
+				org: data.org,
+				...parseAs(data.as)
+			});
+		} catch (error) {
+			clearTimeout(timeoutId);
+			const requestDuration = Date.now() - requestStart;
+
+			// Already logged above
+			if (error instanceof GeoLookupError) {
+				throw error;
+			}
+
+			if (error.name === 'AbortError') {
+				logger.warn({
+					event: 'third_party_api_timeout',
+					apiProvider,
+					apiUrl,
+					clientIp: ip,
+					requestType: 'geolocation',
+					timeoutMs,
+					requestDurationMs: requestDuration
+				}, 'Geolocation API request timeout');
+				throw new GeoLookupError(`Geolocation lookup timeout (${timeoutMs / 1000}s)`, { provider: name, transient: true });
+			}
+
+			logger.error({
+				event: 'third_party_api_error',
+				apiProvider,
+				apiUrl,
+				clientIp: ip,
+				requestType: 'geolocation',
+				error: error.message,
+				requestDurationMs: requestDuration
+			}, `Geolocation API request failed: ${error.message}`);
+
+			// Network-level failures (DNS, connection refused, reset)
+			throw new GeoLookupError(error.message, { provider: name, transient: true, cause: error });
+		}
+	}
+
+	return { name, lookup };
+}
+
+module.exports = { createIpApiProvider };
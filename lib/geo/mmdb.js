@@ -0,0 +1,81 @@
+const fs = require("fs");
+const { Reader } = require("maxmind");
+const { watchForReload } = require("../file-watch");
+const { GeoLookupError } = require("./errors");
+const { normalizeGeolocation } = require("./schema");
+
+// Offline lookups against MaxMind GeoLite2 or DB-IP Lite .mmdb files.
+// Either database may be omitted; at least one is required.
+function createMmdbProvider({ logger, cityPath, asnPath, watchIntervalMs = 60000 }) {
+	const name = 'mmdb';
+
+	if (!cityPath && !asnPath) {
+		throw new Error('mmdb provider requires GEO_MMDB_CITY_PATH and/or GEO_MMDB_ASN_PATH');
+	}
+
+	const databases = {};
+
+	function loadDatabase(kind, filePath) {
+		const reader = new Reader(fs.readFileSync(filePath));
+		databases[kind] = { path: filePath, reader };
+
+		logger.info({
+			event: 'geo_database_loaded',
+			databaseType: kind,
+			databasePath: filePath,
+			databaseEdition: reader.metadata.databaseType,
+			buildEpoch: reader.metadata.buildEpoch
+		}, `Loaded ${kind} database ${reader.metadata.databaseType}`);
+	}
+
+	// Hot-reload a database when its file is replaced; keep the old reader if the new file is unreadable
+	const unwatchers = [];
+	for (const [kind, filePath] of [['city', cityPath], ['asn', asnPath]]) {
+		if (!filePath) continue;
+		loadDatabase(kind, filePath);
+		if (watchIntervalMs > 0) {
+			unwatchers.push(watchForReload({
+				filePath,
+				intervalMs: watchIntervalMs,
+				logger,
+				event: 'geo_database',
+				fields: { databaseType: kind, databasePath: filePath },
+				description: `${kind} database`,
+				reload: () => loadDatabase(kind, filePath)
+			}));
+		}
+	}
+
+	async function lookup(ip) {
+		const city = databases.city?.reader.get(ip) || null;
+		const asn = databases.asn?.reader.get(ip) || null;
+
+		if (!city && !asn) {
+			throw new GeoLookupError(`Address ${ip} not found in geolocation database`, { provider: name, transient: false });
+		}
+
+		return normalizeGeolocation(name, {
+			country: city?.country?.names?.en,
+			countryCode: city?.country?.iso_code,
+			region: city?.subdivisions?.[0]?.names?.en,
+			regionCode: city?.subdivisions?.[0]?.iso_code,
+			city: city?.city?.names?.en,
+			postalCode: city?.postal?.code,
+			lat: city?.location?.latitude,
+			lon: city?.location?.longitude,
+			timezone: city?.location?.time_zone,
+			isp: asn?.autonomous_system_organization,
+			org: asn?.autonomous_system_organization,
+			asn: asn?.autonomous_system_number,
+			asName: asn?.autonomous_system_organization
+		});
+	}
+
+	function close() {
+		for (const unwatch of unwatchers) unwatch();
+	}
+
+	return { name, lookup, close };
+}
+
+module.exports = { createMmdbProvider };
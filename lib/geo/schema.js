@@ -0,0 +1,31 @@
+// Every geolocation provider returns this shape, so views and cache entries
+// never depend on a single provider's field names.
+const GEOLOCATION_FIELDS = [
+	'country',
+	'countryCode',
+	'region',
+	'regionCode',
+	'city',
+	'postalCode',
+	'lat',
+	'lon',
+	'timezone',
+	'isp',
+	'org',
+	'asn',
+	'asName'
+];
+
+function normalizeGeolocation(provider, fields) {
+	const result = { provider };
+	for (const field of GEOLOCATION_FIELDS) {
+		const value = fields[field];
+		result[field] = value === undefined || value === '' ? null : value;
+	}
+	return result;
+}
+
+module.exports = {
+	GEOLOCATION_FIELDS,
+	normalizeGeolocation
+};
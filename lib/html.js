@@ -0,0 +1,308 @@
+// HTML pages for browser requests. Everything else is serialized by ./formats.
+const { LAND_PATH, MAP_HEIGHT, MAP_WIDTH, project } = require("./world-map");
+
+// Pages load no inline script or style and make no third-party requests; the
+// stylesheet and script are served from /assets. `connectSources` are the only
+// hosts the page script may fetch from (the dual-stack hosts, when configured).
+function contentSecurityPolicy({ connectSources = [] } = {}) {
+	return [
+		"default-src 'none'",
+		"script-src 'self'",
+		"style-src 'self'",
+		"img-src 'self'",
+		connectSources.length > 0 && `connect-src ${connectSources.join(' ')}`,
+		"base-uri 'none'",
+		"form-action 'none'",
+		"frame-ancestors 'none'"
+	].filter(Boolean).join('; ');
+}
+
+// Escape text for HTML element content and quoted attribute values
+function escapeHtml(value) {
+	return String(value)
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;')
+		.replace(/'/g, '&#39;');
+}
+
+// Markup that has already been built by html`` and must not be escaped again
+class SafeHtml {
+	constructor(markup) {
+		this.markup = markup;
+	}
+
+	toString() {
+		return this.markup;
+	}
+}
+
+function renderValue(value) {
+	if (value === null || value === undefined || value === false) return '';
+	if (value instanceof SafeHtml) return value.markup;
+	if (Array.isArray(value)) return value.map(renderValue).join('');
+	return escapeHtml(value);
+}
+
+// Template tag for every page: interpolated values are escaped unless they are
+// themselves html`` fragments; arrays are concatenated and null/undefined/false render nothing
+function html(strings, ...values) {
+	return new SafeHtml(strings.reduce((markup, string, index) => markup + renderValue(values[index - 1]) + string));
+}
+
+// Shared page shell for HTML responses; `content` goes inside the main card
+function renderPage(title, content) {
+	return String(html`<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Host Detail - ${title}</title>
+    <link rel="stylesheet" href="/assets/app.css">
+    <script src="/assets/app.js"></script>
+</head>
+<body>
+    <div class="container">
+        <div class="card">
+            <button type="button" class="theme-toggle" aria-label="Toggle dark mode">◐</button>
+${content}
+        </div>
+    </div>
+</body>
+</html>`);
+}
+
+function copyButton(value) {
+	if (value === null || value === undefined || value === '') return null;
+	return html`<button type="button" class="copy" data-copy="${value}" aria-label="Copy to clipboard">Copy</button>`;
+}
+
+// One labelled value with a copy button. `details` is extra markup under the value;
+// `copy: false` drops the button for values that aren't worth copying (Yes/No flags).
+function field(label, value, { details = null, copy = true, className = 'info-item' } = {}) {
+	return html`
+                <div class="${className}">
+                    <div class="info-label">${label}</div>
+                    <div class="info-value">${value}${copy ? copyButton(value) : null}</div>
+                    ${details}
+                </div>`;
+}
+
+// World map with a marker at the given coordinates, drawn from ./world-map
+function renderMap(lat, lon) {
+	const { x, y } = project(lat, lon);
+	const meridians = [-120, -60, 0, 60, 120].map(meridian => project(0, meridian).x);
+	const parallels = [-60, -30, 0, 30, 60].map(parallel => project(parallel, 0).y);
+
+	return html`
+                <svg class="map" viewBox="0 0 ${MAP_WIDTH} ${MAP_HEIGHT}" role="img" aria-label="Map marker at ${lat}, ${lon}">
+                    <rect class="map-sea" width="${MAP_WIDTH}" height="${MAP_HEIGHT}"/>
+                    <path class="map-land" d="${LAND_PATH}"/>
+                    <path class="map-grid" d="${[
+		...meridians.map(mx => `M${mx} 0V${MAP_HEIGHT}`),
+		...parallels.map(py => `M0 ${py}H${MAP_WIDTH}`)
+	].join('')}"/>
+                    <circle class="map-halo" cx="${x}" cy="${y}" r="6"/>
+                    <circle class="map-marker" cx="${x}" cy="${y}" r="2.5"/>
+                </svg>`;
+}
+
+// Lookup page for / and /:target. `dualStackHosts` ({ 4, 6 } host names) adds a
+// section that public/app.js fills in by fetching the caller's address from each host.
+function generateHTML(data, { dualStackHosts = null } = {}) {
+	const { ip, family, classification, reputation, reverseLookup, reverseDns, geolocation, localTime, distance, network, addresses, userAgent, currentTs } = data;
+	const hasCoordinates = Number.isFinite(geolocation?.lat) && Number.isFinite(geolocation?.lon);
+
+	return renderPage('IP Information', html`
+            <div class="header">
+                <h1>🌐 Host Detail</h1>
+                <div class="ip-display">${ip || data.hostname || 'Unknown'}${copyButton(ip || data.hostname)}</div>
+                ${classification && html`<div class="muted">${family && `IPv${family} · `}${classification.isGlobal ? '🌍' : '🏠'} ${classification.name} · ${classification.range} (${classification.reference})</div>`}
+                ${reverseLookup && html`<div class="muted">→ ${reverseLookup}${copyButton(reverseLookup)}</div>`}
+            </div>
+
+            ${dualStackHosts && html`
+            <div class="info-grid">
+                ${[4, 6].map(version => html`
+                <div class="info-item">
+                    <div class="info-label">IPv${version} Address</div>
+                    <div class="info-value" data-dual-stack="//${dualStackHosts[version]}/">Checking…</div>
+                </div>
+                `)}
+            </div>
+            `}
+
+            ${reputation && html`
+            <div class="info-grid">
+                ${[['isTor', 'Tor Exit'], ['isVpn', 'VPN'], ['isProxy', 'Proxy'], ['isHosting', 'Hosting / Cloud']].map(([flag, label]) => field(label, reputation[flag] ? '⚠️ Yes' : '✅ No', {
+		copy: false,
+		details: reputation.matches
+			.filter(match => match.flag === flag.slice(2).toLowerCase())
+			.map(match => html`<div class="muted">${match.list} · ${match.prefix}${match.region && ` · ${match.region}`}</div>`)
+	}))}
+            </div>
+            `}
+
+            ${reverseDns?.ptrRecords.length > 0 && html`
+            <div class="info-grid">
+                ${reverseDns.ptrRecords.map(record => field(
+		`PTR ${record.forwardConfirmed ? '✅ Forward-confirmed' : record.error ? `⚠️ Unverified (${record.error})` : '❌ Not forward-confirmed'}`,
+		record.name,
+		{ details: html`<div class="muted">${[...record.a, ...record.aaaa].join(', ') || 'No A/AAAA records'}</div>` }
+	))}
+            </div>
+            `}
+
+            ${geolocation && html`
+            <div class="geo-section">
+                <h3>📍 Geographic Information</h3>
+                <div class="info-grid">
+                    ${field('Country', `${geolocation.country || 'Unknown'}${geolocation.countryCode ? ` (${geolocation.countryCode})` : ''}`, { className: 'geo-item' })}
+                    ${field('Region', geolocation.region || 'Unknown', { className: 'geo-item' })}
+                    ${field('City', geolocation.city || 'Unknown', { className: 'geo-item' })}
+                    ${field('Timezone', geolocation.timezone || 'Unknown', { className: 'geo-item' })}
+                    ${localTime && field('Local Time', `${localTime.time.slice(11, 16)} (UTC${localTime.utcOffset})`, {
+		className: 'geo-item',
+		copy: false,
+		details: localTime.isDst && html`<div class="muted">Daylight saving time</div>`
+	})}
+                    ${field('ISP', geolocation.isp || 'Unknown', { className: 'geo-item' })}
+                    ${field('Coordinates', `${geolocation.lat}, ${geolocation.lon}`, { className: 'geo-item' })}
+                    ${distance && field('Distance', `${distance.km.toLocaleString('en-US')} km (${distance.miles.toLocaleString('en-US')} mi)`, {
+		className: 'geo-item',
+		copy: false,
+		details: html`<div class="muted">${distance.compass} of ${distance.from.name} · bearing ${distance.bearing}°</div>`
+	})}
+                </div>
+                ${hasCoordinates && renderMap(geolocation.lat, geolocation.lon)}
+            </div>
+            `}
+
+            ${network && html`
+            <div class="geo-section">
+                <h3>🛰️ Network Ownership</h3>
+                <div class="info-grid">
+                    ${field('Origin AS', `${network.asn ? `AS${network.asn}` : 'Unknown'}${network.asName ? ` · ${network.asName}` : ''}`, { className: 'geo-item' })}
+                    ${field('Announced Prefix', network.prefix || 'Unknown', { className: 'geo-item' })}
+                    ${field('Registry', `${network.rir || 'Unknown'}${network.country ? ` (${network.country})` : ''}`, { className: 'geo-item' })}
+                    ${field('Allocated', `${network.allocated || 'Unknown'}${network.allocatedPrefix ? ` · ${network.allocatedPrefix}` : ''}`, { className: 'geo-item' })}
+                </div>
+            </div>
+            `}
+
+            ${addresses && html`
+            <div class="info-grid">
+                ${addresses.map(entry => field(`IPv${entry.family} Address`, entry.ip, {
+		details: [
+			entry.classification && !entry.classification.isGlobal && html`<div class="muted">🏠 ${entry.classification.name} (${entry.classification.range})</div>`,
+			entry.reverseLookup && html`<div class="muted">→ ${entry.reverseLookup}</div>`,
+			entry.geolocation && html`<div class="muted">${[entry.geolocation.city, entry.geolocation.country].filter(Boolean).join(', ') || 'Unknown'} · ${entry.geolocation.isp || 'Unknown'}</div>`,
+			entry.network?.asn && html`<div class="muted">AS${entry.network.asn} · ${entry.network.prefix}</div>`
+		]
+	}))}
+            </div>
+            `}
+
+            ${userAgent && html`
+            <div class="info-grid">
+                ${field('Browser', `${userAgent.client.name ? `${userAgent.client.name} ${userAgent.client.version || ''}` : 'Unknown'}${userAgent.engine.name ? ` (${userAgent.engine.name})` : ''}`)}
+                ${field('Operating System', userAgent.os.name ? `${userAgent.os.name} ${userAgent.os.version || ''}` : 'Unknown')}
+                ${field('Device', [userAgent.device.type, userAgent.device.vendor, userAgent.device.model].filter(Boolean).join(' · ') || 'Unknown')}
+                ${field('Bot', userAgent.bot.isBot ? `${userAgent.bot.name} (${userAgent.bot.category})` : 'No', { copy: userAgent.bot.isBot })}
+            </div>
+            `}
+
+            ${data.headers && renderHeadersSection(data)}
+
+            <div class="timestamp">
+                Last updated: ${new Date(currentTs).toLocaleString()}
+            </div>
+`);
+}
+
+// Transport, client hints and the full header list
+function renderHeadersSection({ headers, clientHints, transport }) {
+	const hints = clientHints ? [
+		['Brands', clientHints.brands?.map(({ brand, version }) => `${brand} ${version}`).join(', ')],
+		['Full Versions', clientHints.fullVersionList?.map(({ brand, version }) => `${brand} ${version}`).join(', ')],
+		['Platform', [clientHints.platform, clientHints.platformVersion].filter(Boolean).join(' ')],
+		['Architecture', [clientHints.architecture, clientHints.bitness && `${clientHints.bitness}-bit`].filter(Boolean).join(' ')],
+		['Model', clientHints.model],
+		['Mobile', clientHints.mobile === null ? null : clientHints.mobile ? 'Yes' : 'No']
+	].filter(([, value]) => value) : [];
+
+	return html`
+            <div class="info-grid">
+                ${field('Protocol', `HTTP/${transport.httpVersion}${transport.tls ? ` · ${transport.tls.protocol} · ${transport.tls.cipher}` : ''}`)}
+                ${hints.map(([label, value]) => field(label, value))}
+            </div>
+
+            <h3>Request Headers</h3>
+            <table class="record-table">
+                ${Object.entries(headers).map(([name, value]) => html`
+                <tr><th>${name}</th><td>${value}${copyButton(value)}</td></tr>
+                `)}
+            </table>
+`;
+}
+
+// /headers page
+function generateHeadersHTML(data) {
+	return renderPage('Request Headers', html`
+            <div class="header">
+                <h1>📨 Request Headers</h1>
+            </div>
+
+            ${renderHeadersSection(data)}
+
+            <div class="timestamp">
+                Last updated: ${new Date(data.currentTs).toLocaleString()}
+            </div>
+`);
+}
+
+// Render a /dns/:name result as one table per record type
+function generateDnsHTML(data) {
+	const { name, resolver, answers, currentTs } = data;
+	// The lowest TTL is shown per record type, so it isn't repeated per row
+	const columns = answer => [...new Set(answer.records.flatMap(Object.keys))].filter(column => column !== 'ttl');
+
+	return renderPage(`DNS ${name}`, html`
+            <div class="header">
+                <h1>🔎 DNS Lookup</h1>
+                <div class="ip-display">${name}${copyButton(name)}</div>
+                <div class="muted">via ${resolver.servers.join(', ')}</div>
+            </div>
+
+            ${answers.map(answer => html`
+            <h3>${answer.type}${answer.ttl !== null && html` <span class="muted">TTL ${answer.ttl}s</span>`}</h3>
+            ${answer.error ? html`
+            <div class="info-item">${answer.error.code}: ${answer.error.message}</div>
+            ` : answer.records.length === 0 ? html`
+            <div class="info-item">No ${answer.type} records</div>
+            ` : html`
+            <table class="record-table">
+                <tr>${columns(answer).map(column => html`<th>${column}</th>`)}</tr>
+                ${answer.records.map(record => html`
+                <tr>${columns(answer).map(column => html`<td>${record[column] ?? ''}</td>`)}</tr>
+                `)}
+            </table>
+            `}
+            `)}
+
+            <div class="timestamp">
+                Last updated: ${new Date(currentTs).toLocaleString()}
+            </div>
+`);
+}
+
+module.exports = {
+	contentSecurityPolicy,
+	escapeHtml,
+	html,
+	renderPage,
+	generateHTML,
+	generateHeadersHTML,
+	generateDnsHTML
+};
@@ -0,0 +1,95 @@
+const { formatAddress, parseAddress, parseCidr } = require("./cidr");
+const { createPrefixTrie } = require("./prefix-trie");
+
+// Address classification from the IANA IPv4 and IPv6 Special-Purpose Address
+// Registries (RFC 6890 and updates). Anything that isn't `global` is never
+// sent to reverse DNS or geolocation providers.
+
+const CATEGORIES = ['private', 'loopback', 'link-local', 'cgnat', 'documentation', 'multicast', 'reserved', 'global'];
+
+// [cidr, category, registry name, reference]; the most specific entry wins
+const SPECIAL_PURPOSE_RANGES = [
+	['0.0.0.0/0', 'global', 'Global Unicast', 'RFC 791'],
+	['0.0.0.0/8', 'reserved', 'This network', 'RFC 791'],
+	['0.0.0.0/32', 'reserved', 'This host on this network', 'RFC 1122'],
+	['10.0.0.0/8', 'private', 'Private-Use', 'RFC 1918'],
+	['100.64.0.0/10', 'cgnat', 'Shared Address Space', 'RFC 6598'],
+	['127.0.0.0/8', 'loopback', 'Loopback', 'RFC 1122'],
+	['169.254.0.0/16', 'link-local', 'Link Local', 'RFC 3927'],
+	['172.16.0.0/12', 'private', 'Private-Use', 'RFC 1918'],
+	['192.0.0.0/24', 'reserved', 'IETF Protocol Assignments', 'RFC 6890'],
+	['192.0.2.0/24', 'documentation', 'Documentation (TEST-NET-1)', 'RFC 5737'],
+	['192.88.99.0/24', 'reserved', 'Deprecated 6to4 Relay Anycast', 'RFC 7526'],
+	['192.168.0.0/16', 'private', 'Private-Use', 'RFC 1918'],
+	['198.18.0.0/15', 'reserved', 'Benchmarking', 'RFC 2544'],
+	['198.51.100.0/24', 'documentation', 'Documentation (TEST-NET-2)', 'RFC 5737'],
+	['203.0.113.0/24', 'documentation', 'Documentation (TEST-NET-3)', 'RFC 5737'],
+	['224.0.0.0/4', 'multicast', 'Multicast', 'RFC 5771'],
+	['240.0.0.0/4', 'reserved', 'Reserved', 'RFC 1112'],
+	['255.255.255.255/32', 'reserved', 'Limited Broadcast', 'RFC 919'],
+
+	// Only 2000::/3 is allocated as global unicast; everything else is unassigned or special
+	['::/0', 'reserved', 'Outside Global Unicast', 'RFC 4291'],
+	['::/128', 'reserved', 'Unspecified Address', 'RFC 4291'],
+	['::1/128', 'loopback', 'Loopback Address', 'RFC 4291'],
+	['64:ff9b::/96', 'global', 'IPv4-IPv6 Translation', 'RFC 6052'],
+	['64:ff9b:1::/48', 'private', 'IPv4-IPv6 Translation (local use)', 'RFC 8215'],
+	['100::/64', 'reserved', 'Discard-Only Address Block', 'RFC 6666'],
+	['2000::/3', 'global', 'Global Unicast', 'RFC 4291'],
+	['2001::/23', 'reserved', 'IETF Protocol Assignments', 'RFC 2928'],
+	['2001::/32', 'reserved', 'TEREDO', 'RFC 4380'],
+	// Assignments inside 2001::/23 that IANA lists as globally reachable
+	['2001:1::1/128', 'global', 'Port Control Protocol Anycast', 'RFC 7723'],
+	['2001:1::2/128', 'global', 'TURN Anycast', 'RFC 8155'],
+	['2001:2::/48', 'reserved', 'Benchmarking', 'RFC 5180'],
+	['2001:3::/32', 'global', 'AMT', 'RFC 7450'],
+	['2001:4:112::/48', 'global', 'AS112-v6', 'RFC 7535'],
+	['2001:20::/28', 'global', 'ORCHIDv2', 'RFC 7343'],
+	['2001:30::/28', 'global', 'Drone Remote ID Protocol Entity Tags', 'RFC 9374'],
+	['2001:db8::/32', 'documentation', 'Documentation', 'RFC 3849'],
+	['3fff::/20', 'documentation', 'Documentation', 'RFC 9637'],
+	['5f00::/16', 'reserved', 'Segment Routing (SRv6) SIDs', 'RFC 9602'],
+	['fc00::/7', 'private', 'Unique-Local', 'RFC 4193'],
+	['fe80::/10', 'link-local', 'Link-Local Unicast', 'RFC 4291'],
+	['ff00::/8', 'multicast', 'Multicast', 'RFC 4291']
+];
+
+const registry = createPrefixTrie();
+for (const [cidr, category, name, reference] of SPECIAL_PURPOSE_RANGES) {
+	const { family, network, prefix } = parseCidr(cidr);
+	registry.insert(family, network, prefix, { category, name, reference });
+}
+
+// Canonical text form, so one address always has one cache key: IPv4-mapped IPv6
+// (::ffff:10.0.0.5) becomes plain IPv4 and IPv6 is written as RFC 5952 recommends
+// (lowercase, zeros compressed, zone dropped). Anything else is returned unchanged.
+function normalizeAddress(address) {
+	const parsed = parseAddress(address);
+	return parsed ? formatAddress(parsed.family, parsed.value) : address;
+}
+
+// Classify an address (mapped IPv6 is classified as IPv4): { address, category, name, reference, range, isGlobal, isBogon }
+function classifyAddress(input) {
+	const address = normalizeAddress(input);
+	const match = registry.lookup(address);
+	if (!match) return null;
+
+	const { category, name, reference } = match.value;
+	return {
+		address,
+		category,
+		name,
+		reference,
+		range: match.prefix,
+		isGlobal: category === 'global',
+		// Bogons: addresses that should never appear as a public source
+		isBogon: category !== 'global'
+	};
+}
+
+module.exports = {
+	CATEGORIES,
+	SPECIAL_PURPOSE_RANGES,
+	normalizeAddress,
+	classifyAddress
+};
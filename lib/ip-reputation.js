@@ -0,0 +1,178 @@
+const fs = require("fs");
+const path = require("path");
+const { parseAddress, parseCidr } = require("./cidr");
+const { createPrefixTrie } = require("./prefix-trie");
+
+// Tor / hosting / VPN / proxy flags from local list files. Each list is parsed
+// into its own prefix trie so a lookup can report every list that matched.
+// Files are re-read on a schedule when their mtime changes; an unreadable file
+// keeps the previous copy.
+
+const FLAGS = { tor: 'isTor', hosting: 'isHosting', vpn: 'isVpn', proxy: 'isProxy' };
+
+// Tor bulk exit list (one address per line) or exit-addresses ("ExitAddress 1.2.3.4 ...")
+function parseTorExitList(text) {
+	return text.split('\n').flatMap(line => {
+		const fields = line.trim().split(/\s+/);
+		const address = fields[0] === 'ExitAddress' ? fields[1] : fields[0];
+		return address && parseAddress(address) ? [{ cidr: address, details: null }] : [];
+	});
+}
+
+// https://ip-ranges.amazonaws.com/ip-ranges.json
+function parseAwsRanges(text) {
+	const { prefixes = [], ipv6_prefixes: ipv6Prefixes = [] } = JSON.parse(text);
+	return [...prefixes, ...ipv6Prefixes].map(entry => ({
+		cidr: entry.ip_prefix || entry.ipv6_prefix,
+		details: { provider: 'aws', region: entry.region, service: entry.service }
+	}));
+}
+
+// https://www.gstatic.com/ipranges/cloud.json
+function parseGcpRanges(text) {
+	const { prefixes = [] } = JSON.parse(text);
+	return prefixes.map(entry => ({
+		cidr: entry.ipv4Prefix || entry.ipv6Prefix,
+		details: { provider: 'gcp', region: entry.scope, service: entry.service }
+	}));
+}
+
+// Azure ServiceTags_Public_*.json; only the regional AzureCloud.* tags, which cover all public ranges
+function parseAzureRanges(text) {
+	const { values = [] } = JSON.parse(text);
+	return values
+		.filter(tag => tag.name.startsWith('AzureCloud.'))
+		.flatMap(tag => tag.properties.addressPrefixes.map(cidr => ({
+			cidr,
+			details: { provider: 'azure', region: tag.properties.region || null, service: tag.name }
+		})));
+}
+
+// One CIDR or address per line; "#" starts a comment
+function parseCidrList(text) {
+	return text.split('\n').flatMap(line => {
+		const cidr = line.replace(/#.*/, '').trim().split(/\s+/)[0];
+		return cidr ? [{ cidr, details: null }] : [];
+	});
+}
+
+const PARSERS = {
+	'tor-exit': parseTorExitList,
+	aws: parseAwsRanges,
+	gcp: parseGcpRanges,
+	azure: parseAzureRanges,
+	cidr: parseCidrList
+};
+
+// lists: [{ name, flag: tor|hosting|vpn|proxy, format: tor-exit|aws|gcp|azure|cidr, path }]
+function createIpReputation({ logger, lists = [], refreshIntervalMs = 60 * 60 * 1000 }) {
+	for (const list of lists) {
+		if (!FLAGS[list.flag] || !PARSERS[list.format]) {
+			throw new Error(`Invalid reputation list ${list.name}: flag must be one of ${Object.keys(FLAGS).join(', ')} and format one of ${Object.keys(PARSERS).join(', ')}`);
+		}
+	}
+
+	// name -> { trie, mtimeMs, entries }
+	const loaded = new Map();
+
+	function load(list) {
+		const { mtimeMs } = fs.statSync(list.path);
+		const trie = createPrefixTrie();
+		let skipped = 0;
+
+		for (const { cidr, details } of PARSERS[list.format](fs.readFileSync(list.path, 'utf8'))) {
+			try {
+				const { family, network, prefix } = parseCidr(cidr);
+				trie.insert(family, network, prefix, details);
+			} catch (err) {
+				skipped++;
+			}
+		}
+
+		loaded.set(list.name, { trie, mtimeMs, entries: trie.size() });
+		logger.info({
+			event: 'reputation_list_loaded',
+			list: list.name,
+			flag: list.flag,
+			format: list.format,
+			path: list.path,
+			entries: trie.size(),
+			skipped
+		}, `Loaded ${list.name} reputation list with ${trie.size()} ranges`);
+	}
+
+	function refresh() {
+		for (const list of lists) {
+			try {
+				const { mtimeMs } = fs.statSync(list.path);
+				if (loaded.get(list.name)?.mtimeMs === mtimeMs) continue;
+				load(list);
+			} catch (err) {
+				logger.error({
+					event: 'reputation_list_refresh_failed',
+					list: list.name,
+					path: list.path,
+					error: err.message
+				}, `Failed to load ${list.name} reputation list - keeping previous version`);
+			}
+		}
+	}
+
+	refresh();
+	const timer = lists.length > 0 && refreshIntervalMs > 0 ? setInterval(refresh, refreshIntervalMs) : null;
+	timer?.unref();
+
+	// Flags plus every matching list, or null when no lists are configured
+	function lookup(ip) {
+		if (lists.length === 0) return null;
+
+		const result = { isTor: false, isHosting: false, isVpn: false, isProxy: false, matches: [] };
+		for (const list of lists) {
+			const match = loaded.get(list.name)?.trie.lookup(ip);
+			if (!match) continue;
+
+			result[FLAGS[list.flag]] = true;
+			result.matches.push({ list: list.name, flag: list.flag, prefix: match.prefix, ...match.value });
+		}
+		return result;
+	}
+
+	function status() {
+		return lists.map(list => ({
+			list: list.name,
+			flag: list.flag,
+			entries: loaded.get(list.name)?.entries ?? null,
+			fileModifiedAt: loaded.has(list.name) ? new Date(loaded.get(list.name).mtimeMs).toISOString() : null
+		}));
+	}
+
+	function close() {
+		if (timer) clearInterval(timer);
+	}
+
+	return { lookup, refresh, status, close };
+}
+
+// Lists from the environment: one file each for the Tor and cloud lists, comma-separated CIDR files per flag
+function reputationListsFromEnv(env = process.env) {
+	const single = (filePath, list) => (filePath ? [{ ...list, path: filePath.trim() }] : []);
+	const cidrFiles = flag => (env[`REPUTATION_${flag.toUpperCase()}_LISTS`] || '')
+		.split(',')
+		.map(filePath => filePath.trim())
+		.filter(Boolean)
+		.map(filePath => ({ name: `${flag}:${path.basename(filePath)}`, flag, format: 'cidr', path: filePath }));
+
+	return [
+		...single(env.REPUTATION_TOR_EXIT_LIST, { name: 'tor-exit', flag: 'tor', format: 'tor-exit' }),
+		...single(env.REPUTATION_AWS_RANGES, { name: 'aws', flag: 'hosting', format: 'aws' }),
+		...single(env.REPUTATION_GCP_RANGES, { name: 'gcp', flag: 'hosting', format: 'gcp' }),
+		...single(env.REPUTATION_AZURE_RANGES, { name: 'azure', flag: 'hosting', format: 'azure' }),
+		...Object.keys(FLAGS).flatMap(cidrFiles)
+	];
+}
+
+module.exports = {
+	FLAGS,
+	createIpReputation,
+	reputationListsFromEnv
+};
@@ -0,0 +1,127 @@
+// Values derived from a geolocation: local time in its timezone, and great-circle
+// distance and bearing between coordinates.
+
+const EARTH_RADIUS_KM = 6371.0088;
+const KM_PER_MILE = 1.609344;
+const COMPASS_POINTS = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
+
+// One formatter per timezone; building them is far slower than using them
+const formatters = new Map();
+
+function formatterFor(timezone) {
+	let formatter = formatters.get(timezone);
+	if (!formatter) {
+		formatter = new Intl.DateTimeFormat('en-US', {
+			timeZone: timezone,
+			hourCycle: 'h23',
+			year: 'numeric',
+			month: '2-digit',
+			day: '2-digit',
+			hour: '2-digit',
+			minute: '2-digit',
+			second: '2-digit'
+		});
+		formatters.set(timezone, formatter);
+	}
+	return formatter;
+}
+
+// Wall-clock fields in a timezone, e.g. { year: '2024', month: '06', ... }
+function wallClock(timezone, date) {
+	const fields = {};
+	for (const { type, value } of formatterFor(timezone).formatToParts(date)) {
+		fields[type] = value;
+	}
+	return fields;
+}
+
+// Minutes the timezone is ahead of UTC at `date`
+function offsetMinutes(timezone, date) {
+	const clock = wallClock(timezone, date);
+	const asUtc = Date.UTC(clock.year, clock.month - 1, clock.day, clock.hour, clock.minute, clock.second);
+	return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+function formatOffset(minutes) {
+	const sign = minutes < 0 ? '-' : '+';
+	const absolute = Math.abs(minutes);
+	return `${sign}${String(Math.floor(absolute / 60)).padStart(2, '0')}:${String(absolute % 60).padStart(2, '0')}`;
+}
+
+// Current time in an IANA timezone: { timezone, time, utcOffset, utcOffsetMinutes, isDst }.
+// DST is an offset above the year's lower offset, which also holds south of the
+// equator where January is summer. Unknown or missing timezones return null.
+function localTimeIn(timezone, now = new Date()) {
+	if (typeof timezone !== 'string' || timezone.length === 0) return null;
+
+	let clock, offset, january, july;
+	try {
+		clock = wallClock(timezone, now);
+		offset = offsetMinutes(timezone, now);
+		january = offsetMinutes(timezone, new Date(Date.UTC(now.getUTCFullYear(), 0, 1)));
+		july = offsetMinutes(timezone, new Date(Date.UTC(now.getUTCFullYear(), 6, 1)));
+	} catch (err) {
+		// RangeError from Intl for names it doesn't know
+		return null;
+	}
+
+	const utcOffset = formatOffset(offset);
+	return {
+		timezone,
+		time: `${clock.year}-${clock.month}-${clock.day}T${clock.hour}:${clock.minute}:${clock.second}${utcOffset}`,
+		utcOffset,
+		utcOffsetMinutes: offset,
+		isDst: offset > Math.min(january, july)
+	};
+}
+
+function hasCoordinates(point) {
+	return Number.isFinite(point?.lat) && Number.isFinite(point?.lon);
+}
+
+const toRadians = degrees => degrees * Math.PI / 180;
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+// Great-circle distance (haversine, mean Earth radius) and initial bearing from
+// `from` to `to`: { km, miles, bearing, compass }. Null unless both have coordinates.
+function greatCircle(from, to) {
+	if (!hasCoordinates(from) || !hasCoordinates(to)) return null;
+
+	const lat1 = toRadians(from.lat);
+	const lat2 = toRadians(to.lat);
+	const deltaLat = lat2 - lat1;
+	const deltaLon = toRadians(to.lon - from.lon);
+
+	const a = Math.sin(deltaLat / 2) ** 2 + Math.cos(lat1) * Math.cos(lat2) * Math.sin(deltaLon / 2) ** 2;
+	const km = 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+
+	const y = Math.sin(deltaLon) * Math.cos(lat2);
+	const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(deltaLon);
+	const bearing = (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+
+	return {
+		km: round(km, 1),
+		miles: round(km / KM_PER_MILE, 1),
+		bearing: round(bearing, 1),
+		compass: COMPASS_POINTS[Math.round(bearing / 22.5) % 16]
+	};
+}
+
+// DISTANCE_REFERENCE ("lat,lon") and an optional name; null when unset
+function parseReferencePoint(value, name) {
+	if (!value) return null;
+
+	const parts = String(value).split(',').map(part => part.trim());
+	const [lat, lon] = parts.map(Number);
+	if (parts.length !== 2 || parts.includes('') || !Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+		throw new Error(`DISTANCE_REFERENCE must be "lat,lon" in decimal degrees, got "${value}"`);
+	}
+	return { name: name || `${lat},${lon}`, lat, lon };
+}
+
+module.exports = {
+	localTimeIn,
+	greatCircle,
+	hasCoordinates,
+	parseReferencePoint
+};
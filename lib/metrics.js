@@ -0,0 +1,101 @@
+const client = require("prom-client");
+
+const CIRCUIT_STATES = { closed: 0, 'half-open': 1, open: 2 };
+
+// Prometheus metrics for the /metrics endpoint. Each call builds its own
+// registry so the module can be instantiated more than once.
+function createMetrics({ isRedisReady = () => false, circuitStatus = () => [] } = {}) {
+	const register = new client.Registry();
+	register.setDefaultLabels({ service: 'hostdetail' });
+	client.collectDefaultMetrics({ register });
+
+	const latencyBuckets = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2, 5];
+
+	const metrics = {
+		register,
+
+		httpRequests: new client.Counter({
+			name: 'hostdetail_http_requests_total',
+			help: 'HTTP requests by route, status code and response format',
+			labelNames: ['route', 'method', 'status', 'format'],
+			registers: [register]
+		}),
+
+		requestDuration: new client.Histogram({
+			name: 'hostdetail_request_duration_seconds',
+			help: 'Total request processing time',
+			labelNames: ['route'],
+			buckets: latencyBuckets,
+			registers: [register]
+		}),
+
+		dnsLookupDuration: new client.Histogram({
+			name: 'hostdetail_dns_lookup_duration_seconds',
+			help: 'Reverse DNS lookup time, including cache',
+			labelNames: ['cache_status'],
+			buckets: latencyBuckets,
+			registers: [register]
+		}),
+
+		geoLookupDuration: new client.Histogram({
+			name: 'hostdetail_geo_lookup_duration_seconds',
+			help: 'Geolocation lookup time, including cache',
+			labelNames: ['cache_status'],
+			buckets: latencyBuckets,
+			registers: [register]
+		}),
+
+		cacheLookups: new client.Counter({
+			name: 'hostdetail_cache_lookups_total',
+			help: 'Cache lookups by cache type and result (hit, miss, negative_hit, stale, coalesced)',
+			labelNames: ['cache_type', 'result'],
+			registers: [register]
+		}),
+
+		upstreamErrors: new client.Counter({
+			name: 'hostdetail_upstream_errors_total',
+			help: 'Errors from upstream providers',
+			labelNames: ['provider', 'transient'],
+			registers: [register]
+		}),
+
+		rateLimited: new client.Counter({
+			name: 'hostdetail_rate_limited_total',
+			help: 'Requests rejected by the rate limiter, by bucket scope',
+			labelNames: ['scope'],
+			registers: [register]
+		}),
+
+		apiKeyRequests: new client.Counter({
+			name: 'hostdetail_api_key_requests_total',
+			help: 'Authenticated requests per API key, by whether the quota allowed them',
+			labelNames: ['api_key', 'allowed'],
+			registers: [register]
+		}),
+
+		redisConnected: new client.Gauge({
+			name: 'hostdetail_redis_connected',
+			help: 'Whether the Redis cache connection is ready (1) or not (0)',
+			registers: [register],
+			collect() {
+				this.set(isRedisReady() ? 1 : 0);
+			}
+		}),
+
+		circuitState: new client.Gauge({
+			name: 'hostdetail_circuit_breaker_state',
+			help: 'Provider circuit breaker state (0 closed, 1 half-open, 2 open)',
+			labelNames: ['breaker'],
+			registers: [register],
+			collect() {
+				for (const { circuit } of circuitStatus()) {
+					this.set({ breaker: circuit.name }, CIRCUIT_STATES[circuit.state]);
+				}
+			}
+		})
+	};
+
+	return metrics;
+}
+
+module.exports = { createMetrics };
@@ -0,0 +1,112 @@
+const { formatAddress, parseAddress } = require("./cidr");
+
+// Path-compressed binary trie for longest-prefix match. Each node covers
+// network/prefix; only nodes with `hasValue` are real routes, the rest are
+// branch points. One trie per address family.
+function createFamilyTrie(bits) {
+	const masks = Array.from({ length: bits + 1 }, (_, prefix) => (
+		prefix === 0 ? 0n : ((1n << BigInt(prefix)) - 1n) << BigInt(bits - prefix)
+	));
+	let root = null;
+	let size = 0;
+
+	function bitAt(value, index) {
+		return Number((value >> BigInt(bits - 1 - index)) & 1n);
+	}
+
+	// Number of leading bits two prefixes share, capped at the shorter prefix
+	function commonLength(a, aPrefix, b, bPrefix) {
+		const limit = Math.min(aPrefix, bPrefix);
+		const diff = a ^ b;
+		const firstDifference = diff === 0n ? bits : bits - diff.toString(2).length;
+		return Math.min(limit, firstDifference);
+	}
+
+	function insert(address, prefix, value) {
+		const network = address & masks[prefix];
+		const node = { network, prefix, value, hasValue: true, children: [null, null] };
+
+		let parent = null;
+		let direction = 0;
+		let current = root;
+
+		while (current) {
+			const common = commonLength(current.network, current.prefix, network, prefix);
+
+			if (common === current.prefix && common === prefix) {
+				if (!current.hasValue) size++;
+				current.value = value;
+				current.hasValue = true;
+				return;
+			}
+
+			if (common === current.prefix) {
+				parent = current;
+				direction = bitAt(network, current.prefix);
+				current = current.children[direction];
+				continue;
+			}
+
+			// The new route sits above `current`, or both hang off a new branch point
+			let replacement = node;
+			if (common === prefix) {
+				node.children[bitAt(current.network, prefix)] = current;
+			} else {
+				replacement = { network: network & masks[common], prefix: common, value: undefined, hasValue: false, children: [null, null] };
+				replacement.children[bitAt(network, common)] = node;
+				replacement.children[bitAt(current.network, common)] = current;
+			}
+
+			if (parent) parent.children[direction] = replacement;
+			else root = replacement;
+			size++;
+			return;
+		}
+
+		if (parent) parent.children[direction] = node;
+		else root = node;
+		size++;
+	}
+
+	function lookup(address) {
+		let best = null;
+		let current = root;
+
+		while (current && (address & masks[current.prefix]) === current.network) {
+			if (current.hasValue) best = current;
+			if (current.prefix === bits) break;
+			current = current.children[bitAt(address, current.prefix)];
+		}
+		return best;
+	}
+
+	return { insert, lookup, size: () => size };
+}
+
+function createPrefixTrie() {
+	const families = { 4: createFamilyTrie(32), 6: createFamilyTrie(128) };
+
+	return {
+		// Add a route for family/network/prefix; a later insert of the same prefix replaces the value
+		insert(family, network, prefix, value) {
+			families[family].insert(network, prefix, value);
+		},
+
+		// Longest matching route for an address string: { prefix: "cidr", value } or null
+		lookup(address) {
+			const parsed = parseAddress(address);
+			if (!parsed) return null;
+
+			const node = families[parsed.family].lookup(parsed.value);
+			return node
+				? { prefix: `${formatAddress(parsed.family, node.network)}/${node.prefix}`, value: node.value }
+				: null;
+		},
+
+		size() {
+			return families[4].size() + families[6].size();
+		}
+	};
+}
+
+module.exports = { createPrefixTrie };
@@ -0,0 +1,234 @@
+const { parseAddress } = require("./cidr");
+
+// Address ranges kept in sorted typed arrays and found by binary search, for
+// datasets too big for the prefix trie (a full ip2asn file has over a million
+// ranges). Each range costs 12 bytes for IPv4 and 36 bytes for IPv6, plus its
+// value, which callers should share between ranges where they can.
+
+const INITIAL_CAPACITY = 1024;
+
+function doubled(array) {
+	const larger = new array.constructor(array.length * 2);
+	larger.set(array);
+	return larger;
+}
+
+// IPv4 ranges as 32-bit numbers
+function createIpv4Ranges() {
+	let starts = new Uint32Array(INITIAL_CAPACITY);
+	let ends = new Uint32Array(INITIAL_CAPACITY);
+	let values = new Uint32Array(INITIAL_CAPACITY);
+	let length = 0;
+
+	function grow() {
+		starts = doubled(starts);
+		ends = doubled(ends);
+		values = doubled(values);
+	}
+
+	return {
+		get length() {
+			return length;
+		},
+		add(start, end, valueIndex) {
+			if (length === starts.length) grow();
+			starts[length] = Number(start);
+			ends[length] = Number(end);
+			values[length] = valueIndex;
+			length++;
+		},
+		startOf: i => BigInt(starts[i]),
+		endOf: i => BigInt(ends[i]),
+		valueOf: i => values[i],
+		compareStart: (i, j) => starts[i] - starts[j],
+		// Put the ranges in `order`, a permutation of their indexes
+		reorder(order) {
+			starts = Uint32Array.from(order, i => starts[i]);
+			ends = Uint32Array.from(order, i => ends[i]);
+			values = Uint32Array.from(order, i => values[i]);
+		},
+		// Drop ranges that overlap the one before and trim the arrays to size; returns the number dropped
+		compact() {
+			let kept = 0;
+			for (let i = 0; i < length; i++) {
+				if (kept > 0 && starts[i] <= ends[kept - 1]) continue;
+				starts[kept] = starts[i];
+				ends[kept] = ends[i];
+				values[kept] = values[i];
+				kept++;
+			}
+			const dropped = length - kept;
+			starts = starts.slice(0, kept);
+			ends = ends.slice(0, kept);
+			values = values.slice(0, kept);
+			length = kept;
+			return dropped;
+		},
+		// Index of the last range starting at or before `address`, or -1
+		floor(address) {
+			const target = Number(address);
+			let low = 0;
+			let high = length - 1;
+			let found = -1;
+			while (low <= high) {
+				const middle = (low + high) >>> 1;
+				if (starts[middle] <= target) {
+					found = middle;
+					low = middle + 1;
+				} else {
+					high = middle - 1;
+				}
+			}
+			return found;
+		},
+		covers: (i, address) => Number(address) <= ends[i]
+	};
+}
+
+// IPv6 ranges as high and low 64-bit halves, interleaved
+function createIpv6Ranges() {
+	const MASK = (1n << 64n) - 1n;
+	let starts = new BigUint64Array(INITIAL_CAPACITY * 2);
+	let ends = new BigUint64Array(INITIAL_CAPACITY * 2);
+	let values = new Uint32Array(INITIAL_CAPACITY);
+	let length = 0;
+
+	function grow() {
+		starts = doubled(starts);
+		ends = doubled(ends);
+		values = doubled(values);
+	}
+
+	const join = (array, i) => (array[i * 2] << 64n) | array[i * 2 + 1];
+
+	return {
+		get length() {
+			return length;
+		},
+		add(start, end, valueIndex) {
+			if (length === values.length) grow();
+			starts[length * 2] = start >> 64n;
+			starts[length * 2 + 1] = start & MASK;
+			ends[length * 2] = end >> 64n;
+			ends[length * 2 + 1] = end & MASK;
+			values[length] = valueIndex;
+			length++;
+		},
+		startOf: i => join(starts, i),
+		endOf: i => join(ends, i),
+		valueOf: i => values[i],
+		compareStart(i, j) {
+			const a = join(starts, i);
+			const b = join(starts, j);
+			return a < b ? -1 : a > b ? 1 : 0;
+		},
+		reorder(order) {
+			const pick = array => {
+				const picked = new BigUint64Array(array.length);
+				order.forEach((from, to) => {
+					picked[to * 2] = array[from * 2];
+					picked[to * 2 + 1] = array[from * 2 + 1];
+				});
+				return picked;
+			};
+			starts = pick(starts);
+			ends = pick(ends);
+			values = Uint32Array.from(order, i => values[i]);
+		},
+		compact() {
+			let kept = 0;
+			for (let i = 0; i < length; i++) {
+				if (kept > 0 && join(starts, i) <= join(ends, kept - 1)) continue;
+				starts.copyWithin(kept * 2, i * 2, i * 2 + 2);
+				ends.copyWithin(kept * 2, i * 2, i * 2 + 2);
+				values[kept] = values[i];
+				kept++;
+			}
+			const dropped = length - kept;
+			starts = starts.slice(0, kept * 2);
+			ends = ends.slice(0, kept * 2);
+			values = values.slice(0, kept);
+			length = kept;
+			return dropped;
+		},
+		floor(address) {
+			let low = 0;
+			let high = length - 1;
+			let found = -1;
+			while (low <= high) {
+				const middle = (low + high) >>> 1;
+				if (join(starts, middle) <= address) {
+					found = middle;
+					low = middle + 1;
+				} else {
+					high = middle - 1;
+				}
+			}
+			return found;
+		},
+		covers: (i, address) => address <= join(ends, i)
+	};
+}
+
+// Collect ranges with add(), then call build() once before lookup(). Ranges may
+// arrive in any order; a range overlapping an earlier-starting one is dropped.
+function createRangeTable() {
+	const families = { 4: createIpv4Ranges(), 6: createIpv6Ranges() };
+	const values = [];
+	const valueIndexes = new Map();
+
+	function add(family, start, end, value) {
+		let index = valueIndexes.get(value);
+		if (index === undefined) {
+			index = values.length;
+			values.push(value);
+			valueIndexes.set(value, index);
+		}
+		families[family].add(start, end, index);
+	}
+
+	// Sort each family by start address and drop overlaps; returns how many were dropped
+	function build() {
+		valueIndexes.clear();
+		let dropped = 0;
+
+		for (const ranges of Object.values(families)) {
+			// ip2asn and delegated files are already in address order; only sort when one isn't
+			let sorted = true;
+			for (let i = 1; i < ranges.length && sorted; i++) {
+				sorted = ranges.compareStart(i - 1, i) <= 0;
+			}
+			if (!sorted) {
+				ranges.reorder(Array.from({ length: ranges.length }, (_, i) => i).sort(ranges.compareStart));
+			}
+			dropped += ranges.compact();
+		}
+		return dropped;
+	}
+
+	// { family, start, end, value } for the range holding `address`, or null
+	function lookup(address) {
+		const parsed = parseAddress(address);
+		if (!parsed) return null;
+
+		const ranges = families[parsed.family];
+		const i = ranges.floor(parsed.value);
+		if (i < 0 || !ranges.covers(i, parsed.value)) return null;
+
+		return {
+			family: parsed.family,
+			start: ranges.startOf(i),
+			end: ranges.endOf(i),
+			value: values[ranges.valueOf(i)]
+		};
+	}
+
+	return {
+		add,
+		build,
+		lookup,
+		size: () => families[4].length + families[6].length
+	};
+}
+
+module.exports = { createRangeTable };
@@ -0,0 +1,192 @@
+// Token-bucket rate limiting shared across replicas through Redis, with a
+// bounded in-memory fallback while Redis is unavailable. Buckets hold up to
+// `capacity` tokens and refill continuously at `refillPerSecond`.
+
+// Refill and take tokens atomically; Redis TIME keeps replicas on one clock
+const TOKEN_BUCKET_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local refill_per_ms = tonumber(ARGV[2])
+local cost = tonumber(ARGV[3])
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local state = redis.call('HMGET', KEYS[1], 'tokens', 'ts')
+local tokens = tonumber(state[1]) or capacity
+local ts = tonumber(state[2]) or now
+tokens = math.min(capacity, tokens + math.max(0, now - ts) * refill_per_ms)
+local allowed = 0
+if tokens >= cost then
+	tokens = tokens - cost
+	allowed = 1
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'ts', now)
+redis.call('PEXPIRE', KEYS[1], math.ceil(capacity / refill_per_ms))
+return { allowed, tostring(tokens) }
+`;
+
+// One bucket's settings from <prefix>_CAPACITY and <prefix>_REFILL_PER_SEC. Throws at
+// startup on values the refill maths can't use: an empty or non-refilling bucket would
+// make windowSeconds and Retry-After Infinity or NaN.
+function bucketFromEnv(env, prefix, defaults) {
+	const rawCapacity = env[`${prefix}_CAPACITY`] || String(defaults.capacity);
+	const rawRefill = env[`${prefix}_REFILL_PER_SEC`] || String(defaults.refillPerSecond);
+	const capacity = Number(rawCapacity);
+	const refillPerSecond = Number(rawRefill);
+
+	if (!Number.isInteger(capacity) || capacity < 1) {
+		throw new Error(`${prefix}_CAPACITY must be a whole number of at least 1, got "${rawCapacity}"`);
+	}
+	if (!Number.isFinite(refillPerSecond) || refillPerSecond <= 0) {
+		throw new Error(`${prefix}_REFILL_PER_SEC must be a number above 0, got "${rawRefill}"`);
+	}
+	return { capacity, refillPerSecond };
+}
+
+function createRateLimiter({ redisClient, logger, maxLocalEntries = 10000, now = Date.now }) {
+	// key -> { tokens, ts }; oldest entries are evicted first
+	const localBuckets = new Map();
+
+	function consumeLocally(key, capacity, refillPerMs, cost) {
+		const current = now();
+		const bucket = localBuckets.get(key) || { tokens: capacity, ts: current };
+		localBuckets.delete(key);
+
+		bucket.tokens = Math.min(capacity, bucket.tokens + Math.max(0, current - bucket.ts) * refillPerMs);
+		bucket.ts = current;
+		const allowed = bucket.tokens >= cost;
+		if (allowed) bucket.tokens -= cost;
+
+		localBuckets.set(key, bucket);
+		if (localBuckets.size > maxLocalEntries) {
+			localBuckets.delete(localBuckets.keys().next().value);
+		}
+		return { allowed, tokens: bucket.tokens, storage: 'memory' };
+	}
+
+	async function consumeInRedis(key, capacity, refillPerMs, cost) {
+		const [allowed, tokens] = await redisClient.eval(TOKEN_BUCKET_SCRIPT, {
+			keys: [key],
+			arguments: [String(capacity), String(refillPerMs), String(cost)]
+		});
+		return { allowed: allowed === 1, tokens: parseFloat(tokens), storage: 'redis' };
+	}
+
+	// Take `cost` tokens from the bucket at `key`; never throws
+	async function consume(key, { capacity, refillPerSecond, cost = 1 }) {
+		const refillPerMs = refillPerSecond / 1000;
+		let outcome = null;
+
+		if (redisClient.isReady) {
+			try {
+				outcome = await consumeInRedis(key, capacity, refillPerMs, cost);
+			} catch (err) {
+				logger.warn({
+					event: 'rate_limit_store_error',
+					key,
+					error: err.message
+				}, 'Rate limit check in Redis failed - using in-memory buckets');
+			}
+		}
+		if (!outcome) {
+			outcome = consumeLocally(key, capacity, refillPerMs, cost);
+		}
+
+		const { allowed, tokens, storage } = outcome;
+		return {
+			allowed,
+			limit: capacity,
+			remaining: Math.max(0, Math.floor(tokens)),
+			// Seconds until the bucket is full again
+			resetSeconds: Math.ceil((capacity - tokens) / refillPerMs / 1000),
+			// Seconds until enough tokens for this request, when blocked
+			retryAfterSeconds: allowed ? 0 : Math.max(1, Math.ceil((cost - tokens) / refillPerMs / 1000)),
+			windowSeconds: Math.ceil(capacity / refillPerSecond),
+			storage
+		};
+	}
+
+	return { consume };
+}
+
+// Express middleware: one bucket per scope returned by identify(req); the tightest result sets the headers.
+// Each request costs one token up front; routes that look up many addresses charge the
+// rest through chargeRateLimit() once they know how many.
+function rateLimitMiddleware({ limiter, logger, metrics, identify, exemptPaths = [] }) {
+	const exempt = new Set(exemptPaths);
+
+	// Take `cost` tokens from each bucket, capped at the bucket's capacity so a large
+	// request empties it rather than being refused forever. Resolves true when allowed;
+	// otherwise sends the 429 and resolves false.
+	async function charge(req, res, cost) {
+		try {
+			const scopes = identify(req);
+			const results = await Promise.all(scopes.map(async scope => ({
+				scope,
+				result: await limiter.consume(scope.key, { ...scope, cost: Math.min(cost, scope.capacity) })
+			})));
+			if (results.length === 0) return true;
+
+			const blocked = results.find(({ result }) => !result.allowed);
+			const tightest = blocked || results.reduce((min, entry) => (entry.result.remaining < min.result.remaining ? entry : min));
+			const { result } = tightest;
+
+			res.setHeader('RateLimit-Limit', result.limit);
+			res.setHeader('RateLimit-Remaining', result.remaining);
+			res.setHeader('RateLimit-Reset', result.resetSeconds);
+			res.setHeader('RateLimit-Policy', `${result.limit};w=${result.windowSeconds}`);
+
+			if (!blocked) return true;
+
+			logger.warn({
+				event: 'rate_limit_blocked',
+				scope: blocked.scope.type,
+				clientIp: blocked.scope.clientIp,
+				apiKeyId: blocked.scope.apiKeyId,
+				method: req.method,
+				url: req.url,
+				cost,
+				limit: result.limit,
+				retryAfterSeconds: result.retryAfterSeconds,
+				storage: result.storage
+			}, `Rate limit exceeded for ${blocked.scope.type}`);
+			metrics?.rateLimited.inc({ scope: blocked.scope.type });
+
+			res.setHeader('Retry-After', result.retryAfterSeconds);
+			res.status(429).json({
+				error: {
+					code: 'rate_limited',
+					message: `Too many requests - retry in ${result.retryAfterSeconds}s`,
+					retryAfterSeconds: result.retryAfterSeconds
+				}
+			});
+			return false;
+		} catch (err) {
+			// Never block traffic because the limiter itself failed
+			logger.error({
+				event: 'rate_limit_error',
+				error: err.message
+			}, 'Rate limiter failed - allowing request');
+			return true;
+		}
+	}
+
+	return async function rateLimit(req, res, next) {
+		if (exempt.has(req.path)) return next();
+
+		res.locals.chargeRateLimit = cost => charge(req, res, cost);
+		if (await charge(req, res, 1)) next();
+	};
+}
+
+// Charge `cost` more tokens for a request that does more than one lookup. Resolves
+// false once the 429 has been sent; true when allowed, exempt or not rate limited.
+async function chargeRateLimit(res, cost) {
+	if (!res.locals.chargeRateLimit || cost <= 0) return true;
+	return res.locals.chargeRateLimit(cost);
+}
+
+module.exports = {
+	bucketFromEnv,
+	chargeRateLimit,
+	createRateLimiter,
+	rateLimitMiddleware
+};
@@ -0,0 +1,108 @@
+// Request header echo for / and /headers: headers in the order and casing the
+// client sent them, the connection's HTTP/TLS details, and parsed User-Agent
+// Client Hints. Credentials are redacted with the same list and placeholder as
+// the pino logger, so nothing is echoed that wouldn't also be logged.
+
+const REDACTED_HEADERS = ['authorization', 'proxy-authorization', 'cookie', 'x-api-key'];
+const REDACTED = '[Redacted]';
+
+// pino `redact` paths for the request serializers
+const REDACT_PATHS = REDACTED_HEADERS.flatMap(name => [`req.headers["${name}"]`, `request.headers["${name}"]`]);
+
+// High-entropy hints browsers only send after an Accept-CH opt-in; the low-entropy
+// Sec-CH-UA, Sec-CH-UA-Mobile and Sec-CH-UA-Platform are sent by default
+const ACCEPT_CH = [
+	'Sec-CH-UA-Arch',
+	'Sec-CH-UA-Bitness',
+	'Sec-CH-UA-Full-Version-List',
+	'Sec-CH-UA-Model',
+	'Sec-CH-UA-Platform-Version',
+	'Sec-CH-UA-WoW64'
+].join(', ');
+
+// Raw headers as an object keyed by the client's casing, in arrival order.
+// Repeated headers are joined with ", " under the first spelling, as Node does.
+function rawHeaders(req) {
+	const headers = {};
+	const names = new Map();
+
+	for (let i = 0; i < req.rawHeaders.length; i += 2) {
+		const name = req.rawHeaders[i];
+		const lower = name.toLowerCase();
+		const value = REDACTED_HEADERS.includes(lower) ? REDACTED : req.rawHeaders[i + 1];
+
+		if (names.has(lower)) {
+			const first = names.get(lower);
+			if (value !== REDACTED) headers[first] = `${headers[first]}, ${value}`;
+		} else {
+			names.set(lower, name);
+			headers[name] = value;
+		}
+	}
+	return headers;
+}
+
+// HTTP version and, when this process terminates TLS, the negotiated protocol and cipher.
+// Behind a TLS-terminating proxy `tls` is null and the version is that of the proxy hop.
+function describeTransport(req) {
+	const socket = req.socket;
+	const tls = socket?.encrypted
+		? {
+			protocol: socket.getProtocol?.() || null,
+			cipher: socket.getCipher?.()?.name || null,
+			alpnProtocol: socket.alpnProtocol || null,
+			servername: socket.servername || null
+		}
+		: null;
+
+	return { httpVersion: req.httpVersion, tls };
+}
+
+// Structured-field string (sf-string) to plain text: "Windows" -> Windows
+function sfString(value) {
+	if (value === undefined) return null;
+	const match = value.trim().match(/^"((?:[^"\\]|\\.)*)"$/);
+	return match ? match[1].replace(/\\(.)/g, '$1') : value.trim();
+}
+
+// Structured-field boolean: ?1 / ?0
+function sfBoolean(value) {
+	if (value === undefined) return null;
+	return value.trim() === '?1' ? true : value.trim() === '?0' ? false : null;
+}
+
+// Brand lists: "Chromium";v="124", "Not-A.Brand";v="99"
+function sfBrandList(value) {
+	if (value === undefined) return null;
+	return [...value.matchAll(/"((?:[^"\\]|\\.)*)"\s*;\s*v\s*=\s*"((?:[^"\\]|\\.)*)"/g)]
+		.map(([, brand, version]) => ({ brand: brand.replace(/\\(.)/g, '$1'), version: version.replace(/\\(.)/g, '$1') }));
+}
+
+// Parsed Sec-CH-UA-* request headers, or null when the client sent none
+function parseClientHints(headers) {
+	if (!Object.keys(headers).some(name => name.startsWith('sec-ch-ua'))) {
+		return null;
+	}
+
+	return {
+		brands: sfBrandList(headers['sec-ch-ua']),
+		fullVersionList: sfBrandList(headers['sec-ch-ua-full-version-list']),
+		mobile: sfBoolean(headers['sec-ch-ua-mobile']),
+		platform: sfString(headers['sec-ch-ua-platform']),
+		platformVersion: sfString(headers['sec-ch-ua-platform-version']),
+		architecture: sfString(headers['sec-ch-ua-arch']),
+		bitness: sfString(headers['sec-ch-ua-bitness']),
+		model: sfString(headers['sec-ch-ua-model']),
+		wow64: sfBoolean(headers['sec-ch-ua-wow64'])
+	};
+}
+
+module.exports = {
+	REDACTED_HEADERS,
+	REDACTED,
+	REDACT_PATHS,
+	ACCEPT_CH,
+	rawHeaders,
+	describeTransport,
+	parseClientHints
+};
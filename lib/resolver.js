@@ -0,0 +1,135 @@
+const dns = require("dns");
+const { parseAddress } = require("./cidr");
+const { queryTtl } = require("./dns-ttl");
+
+// Resolver errors that mean "no such record" rather than "couldn't ask"
+const NO_DATA_CODES = new Set(['ENOTFOUND', 'ENODATA', 'NXDOMAIN']);
+
+// Record types served by /dns/:name, in display order
+const RECORD_TYPES = ['A', 'AAAA', 'CNAME', 'MX', 'NS', 'TXT', 'SOA', 'CAA', 'SRV'];
+
+// DNS lookups through one dns.promises.Resolver, so nameservers, per-query
+// timeout and retries are configurable instead of inherited from the host.
+function createResolver({ servers = [], timeoutMs = 2000, tries = 2, maxPtrRecords = 10 } = {}) {
+	const resolver = new dns.promises.Resolver({ timeout: timeoutMs, tries });
+	if (servers.length > 0) {
+		resolver.setServers(servers);
+	}
+
+	// A and AAAA records for a hostname as [{ ip, family }]; throws when neither resolves
+	async function resolveHostname(hostname) {
+		const [v4, v6] = await Promise.allSettled([
+			resolver.resolve4(hostname),
+			resolver.resolve6(hostname)
+		]);
+
+		const addresses = [
+			...(v4.status === 'fulfilled' ? v4.value.map(ip => ({ ip, family: 4 })) : []),
+			...(v6.status === 'fulfilled' ? v6.value.map(ip => ({ ip, family: 6 })) : [])
+		];
+
+		if (addresses.length === 0) {
+			// Surface the most specific resolver error when nothing resolved
+			const failure = [v4, v6].find(result => result.status === 'rejected' && result.reason.code !== 'ENODATA');
+			throw failure ? failure.reason : Object.assign(new Error(`No A or AAAA records for ${hostname}`), { code: 'ENODATA' });
+		}
+
+		return addresses;
+	}
+
+	// Forward-confirmed reverse DNS: every PTR name for `ip`, each resolved back
+	// to A/AAAA and marked forwardConfirmed when one of them is `ip` again.
+	// Throws when the PTR lookup itself fails.
+	async function reverseLookup(ip) {
+		const target = parseAddress(ip);
+		const names = (await resolver.reverse(ip)).slice(0, maxPtrRecords);
+
+		const ptrRecords = await Promise.all(names.map(async name => {
+			const [v4, v6] = await Promise.allSettled([resolver.resolve4(name), resolver.resolve6(name)]);
+			const a = v4.status === 'fulfilled' ? v4.value : [];
+			const aaaa = v6.status === 'fulfilled' ? v6.value : [];
+
+			const record = {
+				name,
+				a,
+				aaaa,
+				forwardConfirmed: [...a, ...aaaa].some(address => {
+					const parsed = parseAddress(address);
+					return parsed.family === target.family && parsed.value === target.value;
+				})
+			};
+
+			// A timeout or SERVFAIL leaves the answer unknown rather than negative
+			const failure = [v4, v6].find(result => result.status === 'rejected' && !NO_DATA_CODES.has(result.reason.code));
+			if (failure && !record.forwardConfirmed) {
+				record.error = failure.reason.code || failure.reason.message;
+			}
+			return record;
+		}));
+
+		return {
+			ptrRecords,
+			forwardConfirmed: ptrRecords.some(record => record.forwardConfirmed)
+		};
+	}
+
+	// Node only reports TTLs for A and AAAA; query() fills in the rest from ./dns-ttl
+	const recordQueries = {
+		A: async name => (await resolver.resolve4(name, { ttl: true })).map(({ address, ttl }) => ({ address, ttl })),
+		AAAA: async name => (await resolver.resolve6(name, { ttl: true })).map(({ address, ttl }) => ({ address, ttl })),
+		CNAME: async name => (await resolver.resolveCname(name)).map(host => ({ host, ttl: null })),
+		MX: async name => (await resolver.resolveMx(name))
+			.sort((a, b) => a.priority - b.priority)
+			.map(({ exchange, priority }) => ({ exchange, priority, ttl: null })),
+		NS: async name => (await resolver.resolveNs(name)).map(host => ({ host, ttl: null })),
+		TXT: async name => (await resolver.resolveTxt(name)).map(chunks => ({ text: chunks.join(''), ttl: null })),
+		SOA: async name => {
+			const { nsname, hostmaster, serial, refresh, retry, expire, minttl } = await resolver.resolveSoa(name);
+			return [{ nsname, hostmaster, serial, refresh, retry, expire, minttl, ttl: null }];
+		},
+		// Node returns { critical, issue: "ca.example" }; split the property tag from its value
+		CAA: async name => (await resolver.resolveCaa(name)).map(({ critical, ...rest }) => {
+			const [tag, value] = Object.entries(rest)[0] || [null, null];
+			return { critical, tag, value, ttl: null };
+		}),
+		SRV: async name => (await resolver.resolveSrv(name))
+			.sort((a, b) => a.priority - b.priority || b.weight - a.weight)
+			.map(({ name: target, port, priority, weight }) => ({ target, port, priority, weight, ttl: null }))
+	};
+
+	// One record type for a name: { type, ttl, records }, where ttl is the lowest
+	// known record TTL. A name without records of this type yields records: [];
+	// NXDOMAIN and resolver failures throw with the resolver's error code. Types
+	// other than A and AAAA keep ttl: null when the TTL query gets no answer.
+	async function query(name, type) {
+		const [records, rrsetTtl] = await Promise.all([
+			recordQueries[type](name).catch(err => {
+				if (err.code !== 'ENODATA') throw err;
+				return [];
+			}),
+			// Sent alongside the record query so it adds no latency
+			type === 'A' || type === 'AAAA' ? null : queryTtl(resolver.getServers(), name, type, timeoutMs)
+		]);
+
+		// Records of one type share a TTL (RFC 2181 §5.2)
+		if (rrsetTtl !== null) {
+			for (const record of records) record.ttl = rrsetTtl;
+		}
+
+		const ttls = records.map(record => record.ttl).filter(ttl => ttl !== null);
+		return { type, ttl: ttls.length > 0 ? Math.min(...ttls) : null, records };
+	}
+
+	return {
+		resolveHostname,
+		reverseLookup,
+		query,
+		describe: () => ({ servers: resolver.getServers(), timeoutMs, tries })
+	};
+}
+
+module.exports = {
+	NO_DATA_CODES,
+	RECORD_TYPES,
+	createResolver
+};
@@ -0,0 +1,116 @@
+const UAParser = require("ua-parser-js");
+
+// Non-browser clients, checked in order before falling back to ua-parser-js.
+// Categories: crawler, monitor, headless, cli, library, api-client.
+const KNOWN_CLIENTS = [
+	{ pattern: /Googlebot(?:-\w+)?\/([\d.]+)/i, name: 'Googlebot', category: 'crawler' },
+	{ pattern: /bingbot\/([\d.]+)/i, name: 'Bingbot', category: 'crawler' },
+	{ pattern: /DuckDuckBot(?:-\w+)?\/([\d.]+)/i, name: 'DuckDuckBot', category: 'crawler' },
+	{ pattern: /YandexBot\/([\d.]+)/i, name: 'YandexBot', category: 'crawler' },
+	{ pattern: /Baiduspider(?:-\w+)?\/([\d.]+)/i, name: 'Baiduspider', category: 'crawler' },
+	{ pattern: /Applebot\/([\d.]+)/i, name: 'Applebot', category: 'crawler' },
+	{ pattern: /facebookexternalhit\/([\d.]+)/i, name: 'Facebook', category: 'crawler' },
+	{ pattern: /Twitterbot\/([\d.]+)/i, name: 'Twitterbot', category: 'crawler' },
+	{ pattern: /Slackbot(?:-LinkExpanding)?(?: ([\d.]+))?/i, name: 'Slackbot', category: 'crawler' },
+	{ pattern: /AhrefsBot\/([\d.]+)/i, name: 'AhrefsBot', category: 'crawler' },
+	{ pattern: /SemrushBot\/?([\d.~a-z]*)/i, name: 'SemrushBot', category: 'crawler' },
+	{ pattern: /GPTBot\/([\d.]+)/i, name: 'GPTBot', category: 'crawler' },
+	{ pattern: /ClaudeBot\/([\d.]+)/i, name: 'ClaudeBot', category: 'crawler' },
+	{ pattern: /UptimeRobot\/([\d.]+)/i, name: 'UptimeRobot', category: 'monitor' },
+	{ pattern: /Pingdom/i, name: 'Pingdom', category: 'monitor' },
+	{ pattern: /ELB-HealthChecker\/([\d.]+)/i, name: 'ELB-HealthChecker', category: 'monitor' },
+	{ pattern: /DockerHealthCheck/i, name: 'DockerHealthCheck', category: 'monitor' },
+	{ pattern: /HeadlessChrome\/([\d.]+)/i, name: 'HeadlessChrome', category: 'headless' },
+	{ pattern: /PhantomJS\/([\d.]+)/i, name: 'PhantomJS', category: 'headless' },
+	{ pattern: /^curl\/([\d.]+)/i, name: 'curl', category: 'cli' },
+	{ pattern: /^Wget\/([\d.]+)/i, name: 'Wget', category: 'cli' },
+	{ pattern: /^HTTPie\/([\d.]+)/i, name: 'HTTPie', category: 'cli' },
+	{ pattern: /PowerShell\/([\d.]+)/i, name: 'PowerShell', category: 'cli' },
+	{ pattern: /python-requests\/([\d.]+)/i, name: 'python-requests', category: 'library' },
+	{ pattern: /python-urllib\/([\d.]+)/i, name: 'urllib', category: 'library' },
+	{ pattern: /aiohttp\/([\d.]+)/i, name: 'aiohttp', category: 'library' },
+	{ pattern: /^axios\/([\d.]+)/i, name: 'axios', category: 'library' },
+	{ pattern: /node-fetch\/?([\d.]*)/i, name: 'node-fetch', category: 'library' },
+	{ pattern: /^node$|undici/i, name: 'Node.js', category: 'library' },
+	{ pattern: /Go-http-client\/([\d.]+)/i, name: 'Go-http-client', category: 'library' },
+	{ pattern: /okhttp\/([\d.]+)/i, name: 'OkHttp', category: 'library' },
+	{ pattern: /^Java\/([\d._]+)/i, name: 'Java', category: 'library' },
+	{ pattern: /libwww-perl\/([\d.]+)/i, name: 'libwww-perl', category: 'library' },
+	{ pattern: /PostmanRuntime\/([\d.]+)/i, name: 'Postman', category: 'api-client' },
+	{ pattern: /insomnia\/([\d.]+)/i, name: 'Insomnia', category: 'api-client' },
+	// Catch-alls for self-identified automation: a product token ("FooBot/1.0") or a
+	// "compatible;" comment ("(compatible; FooBot; +https://...)"). Device names such as
+	// Android's "CUBOT" in "(Linux; Android 10; CUBOT P40)" are neither.
+	{ pattern: /\b(\w*(?:bot|spider|crawler))\//i, name: null, category: 'crawler' },
+	{ pattern: /compatible;\s*([\w.-]*(?:bot|spider|crawler))\b/i, name: null, category: 'crawler' }
+];
+
+// Categories that are automated traffic rather than a person using a tool
+const BOT_CATEGORIES = new Set(['crawler', 'monitor', 'headless']);
+
+function findKnownClient(userAgent) {
+	for (const client of KNOWN_CLIENTS) {
+		const match = userAgent.match(client.pattern);
+		if (match) {
+			return {
+				name: client.name || match[1],
+				version: client.name ? match[1] || null : null,
+				category: client.category
+			};
+		}
+	}
+	return null;
+}
+
+// Parse a User-Agent header into browser, OS, device, engine and bot details
+function parseUserAgent(userAgent) {
+	if (!userAgent) {
+		return {
+			browser: { name: null, version: null, major: null },
+			engine: { name: null, version: null },
+			os: { name: null, version: null },
+			device: { type: null, vendor: null, model: null },
+			client: { type: 'unknown', name: null, version: null },
+			bot: { isBot: false, name: null, category: null },
+			isBrowser: false
+		};
+	}
+
+	const parsed = UAParser(userAgent);
+	const known = findKnownClient(userAgent);
+	const isBot = !!known && BOT_CATEGORIES.has(known.category);
+	const isBrowser = !known && !!parsed.browser.name;
+
+	return {
+		browser: {
+			name: parsed.browser.name || null,
+			version: parsed.browser.version || null,
+			major: parsed.browser.major || null
+		},
+		engine: {
+			name: parsed.engine.name || null,
+			version: parsed.engine.version || null
+		},
+		os: {
+			name: parsed.os.name || null,
+			version: parsed.os.version || null
+		},
+		device: {
+			// ua-parser-js leaves desktop devices untyped
+			type: parsed.device.type || (parsed.browser.name || parsed.os.name ? 'desktop' : null),
+			vendor: parsed.device.vendor || null,
+			model: parsed.device.model || null
+		},
+		client: known
+			? { type: known.category, name: known.name, version: known.version }
+			: { type: isBrowser ? 'browser' : 'unknown', name: parsed.browser.name || null, version: parsed.browser.version || null },
+		bot: {
+			isBot,
+			name: isBot ? known.name : null,
+			category: isBot ? known.category : null
+		},
+		isBrowser
+	};
+}
+
+module.exports = { parseUserAgent };
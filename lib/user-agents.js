@@ -0,0 +1,227 @@
+// User agent analytics stored as one Redis sorted set per UTC day
+// (ua:day:YYYY-MM-DD, member = user agent, score = requests), shared across
+// replicas and kept for `retentionDays`. Each day is capped at `maxTracked`
+// distinct agents; anything beyond the cap is counted under OVERFLOW_MEMBER.
+// When Redis is unavailable, counts go to a bounded in-memory copy instead.
+
+const OVERFLOW_MEMBER = '(other)';
+const MAX_USER_AGENT_LENGTH = 512;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Count one request in a day's set. The cap check and the increment run as one script,
+// so concurrent replicas can't each add a new agent past `maxTracked`.
+// KEYS: day set, day total. ARGV: user agent, overflow member, maxTracked, TTL seconds.
+const RECORD_SCRIPT = `
+local member = ARGV[1]
+if not redis.call('ZSCORE', KEYS[1], member) and redis.call('ZCARD', KEYS[1]) >= tonumber(ARGV[3]) then
+	member = ARGV[2]
+end
+local count = redis.call('ZINCRBY', KEYS[1], 1, member)
+redis.call('INCR', KEYS[2])
+redis.call('EXPIRE', KEYS[1], ARGV[4])
+redis.call('EXPIRE', KEYS[2], ARGV[4])
+return { member, count, redis.call('ZCARD', KEYS[1]) }
+`;
+
+function dayKey(date) {
+	return date.toISOString().slice(0, 10);
+}
+
+// Accepts "YYYY-MM-DD", an ISO timestamp, or a relative "7d"
+function parseSince(since, now = new Date()) {
+	if (!since) return null;
+
+	const relative = String(since).match(/^(\d+)d$/);
+	if (relative) {
+		return new Date(now.getTime() - (parseInt(relative[1], 10) - 1) * DAY_MS);
+	}
+
+	const date = new Date(since);
+	return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+function createUserAgentStore({ redisClient, logger, parse, maxTracked = 10000, retentionDays = 30, now = () => new Date() }) {
+	const ttlSeconds = retentionDays * 24 * 60 * 60;
+	// In-memory fallback: day -> Map(userAgent -> count)
+	const localDays = new Map();
+
+	function normalize(userAgent) {
+		return (userAgent || '(none)').slice(0, MAX_USER_AGENT_LENGTH);
+	}
+
+	function retainedDays(since) {
+		const today = now();
+		const oldest = new Date(today.getTime() - (retentionDays - 1) * DAY_MS);
+		const start = since && since > oldest ? since : oldest;
+		const days = [];
+		for (let t = Date.parse(dayKey(start)); t <= today.getTime(); t += DAY_MS) {
+			days.push(dayKey(new Date(t)));
+		}
+		return days;
+	}
+
+	function recordLocally(day, userAgent) {
+		if (!localDays.has(day)) {
+			localDays.set(day, new Map());
+			// Drop buckets that have aged out of the retention window
+			const keep = new Set(retainedDays(null));
+			for (const existing of localDays.keys()) {
+				if (!keep.has(existing)) localDays.delete(existing);
+			}
+		}
+
+		const counts = localDays.get(day);
+		const member = counts.has(userAgent) || counts.size < maxTracked ? userAgent : OVERFLOW_MEMBER;
+		const count = (counts.get(member) || 0) + 1;
+		counts.set(member, count);
+		return { member, count, uniqueUserAgents: counts.size, storage: 'memory' };
+	}
+
+	async function recordInRedis(day, userAgent) {
+		const key = `ua:day:${day}`;
+		const [member, count, uniqueUserAgents] = await redisClient.eval(RECORD_SCRIPT, {
+			keys: [key, `${key}:total`],
+			arguments: [userAgent, OVERFLOW_MEMBER, String(maxTracked), String(ttlSeconds)]
+		});
+
+		return { member, count: Number(count), uniqueUserAgents: Number(uniqueUserAgents), storage: 'redis' };
+	}
+
+	// Count one request; never throws
+	async function record(userAgent) {
+		const day = dayKey(now());
+		const normalized = normalize(userAgent);
+
+		if (redisClient.isReady) {
+			try {
+				return await recordInRedis(day, normalized);
+			} catch (err) {
+				logger.warn({
+					event: 'user_agent_store_error',
+					operation: 'record',
+					error: err.message
+				}, 'Failed to record user agent in Redis - using in-memory counts');
+			}
+		}
+		return recordLocally(day, normalized);
+	}
+
+	async function readDay(day) {
+		if (redisClient.isReady) {
+			try {
+				const key = `ua:day:${day}`;
+				const [entries, total] = await Promise.all([
+					redisClient.zRangeWithScores(key, 0, -1),
+					redisClient.get(`${key}:total`)
+				]);
+				return {
+					counts: new Map(entries.map(({ value, score }) => [value, score])),
+					totalRequests: Number(total || 0)
+				};
+			} catch (err) {
+				logger.warn({
+					event: 'user_agent_store_error',
+					operation: 'query',
+					day,
+					error: err.message
+				}, 'Failed to read user agents from Redis - using in-memory counts');
+			}
+		}
+
+		const counts = localDays.get(day) || new Map();
+		const totalRequests = [...counts.values()].reduce((sum, count) => sum + count, 0);
+		return { counts, totalRequests };
+	}
+
+	// Today's distinct agents and requests, from the set's size and the total counter
+	// rather than reading every member
+	async function todaySummary() {
+		const day = dayKey(now());
+		if (redisClient.isReady) {
+			try {
+				const key = `ua:day:${day}`;
+				const [uniqueUserAgents, total] = await Promise.all([
+					redisClient.zCard(key),
+					redisClient.get(`${key}:total`)
+				]);
+				return { date: day, uniqueUserAgents, totalRequests: Number(total || 0) };
+			} catch (err) {
+				logger.warn({
+					event: 'user_agent_store_error',
+					operation: 'summary',
+					day,
+					error: err.message
+				}, 'Failed to read user agent totals from Redis - using in-memory counts');
+			}
+		}
+
+		const counts = localDays.get(day) || new Map();
+		const totalRequests = [...counts.values()].reduce((sum, count) => sum + count, 0);
+		return { date: day, uniqueUserAgents: counts.size, totalRequests };
+	}
+
+	// Aggregate days since `since` (a Date); filter by browser flag and return the top N
+	async function query({ since = null, top = 100, browser = null } = {}) {
+		const days = retainedDays(since);
+		const perDay = await Promise.all(days.map(readDay));
+
+		const merged = new Map();
+		const rollups = days.map((date, index) => {
+			const { counts, totalRequests } = perDay[index];
+			for (const [userAgent, count] of counts) {
+				merged.set(userAgent, (merged.get(userAgent) || 0) + count);
+			}
+			return { date, totalRequests, uniqueUserAgents: counts.size };
+		});
+		const summary = {
+			since: days[0],
+			until: days[days.length - 1],
+			totalRequests: rollups.reduce((sum, day) => sum + day.totalRequests, 0),
+			uniqueUserAgents: merged.size
+		};
+
+		let userAgents = [...merged.entries()].map(([userAgent, count]) => {
+			if (userAgent === OVERFLOW_MEMBER) {
+				return { userAgent, count, isBrowser: null, browser: null, os: null, deviceType: null, bot: null };
+			}
+			const parsed = parse(userAgent);
+			return {
+				userAgent,
+				count,
+				isBrowser: parsed.isBrowser,
+				browser: parsed.browser.name,
+				os: parsed.os.name,
+				deviceType: parsed.device.type,
+				bot: parsed.bot.name
+			};
+		});
+		if (browser !== null) {
+			userAgents = userAgents.filter(entry => entry.isBrowser === browser);
+		}
+		userAgents.sort((a, b) => b.count - a.count);
+
+		// Request counts per parsed family, over every matching agent rather than just the top N
+		const breakdown = field => userAgents.reduce((totals, entry) => {
+			if (entry[field]) totals[entry[field]] = (totals[entry[field]] || 0) + entry.count;
+			return totals;
+		}, {});
+
+		return {
+			...summary,
+			userAgents: userAgents.slice(0, top),
+			byBrowser: breakdown('browser'),
+			byOs: breakdown('os'),
+			byDeviceType: breakdown('deviceType'),
+			byBot: breakdown('bot'),
+			days: rollups
+		};
+	}
+
+	return { record, query, todaySummary };
+}
+
+module.exports = {
+	OVERFLOW_MEMBER,
+	parseSince,
+	createUserAgentStore
+};
@@ -0,0 +1,52 @@
+// Coarse land outlines for the location map on the HTML page, as [lon, lat] rings.
+// Thumbnail detail only: good enough to show roughly where a point is, drawn
+// locally so the page makes no third-party tile requests.
+const LAND = [
+	// North and Central America
+	[[-168, 66], [-162, 70], [-140, 70], [-125, 70], [-95, 72], [-80, 73], [-62, 66], [-56, 52], [-66, 45], [-70, 42], [-76, 35], [-81, 31], [-80, 25], [-83, 29], [-90, 30], [-97, 27], [-97, 21], [-92, 18], [-87, 21], [-88, 16], [-83, 10], [-77, 8], [-83, 8], [-87, 13], [-92, 15], [-96, 16], [-105, 20], [-110, 23], [-112, 29], [-117, 32], [-121, 35], [-124, 40], [-124, 48], [-130, 55], [-140, 60], [-150, 61], [-158, 57], [-165, 60]],
+	// Greenland
+	[[-55, 60], [-43, 60], [-20, 70], [-20, 82], [-40, 83], [-60, 82], [-72, 78], [-55, 70]],
+	// South America
+	[[-77, 8], [-72, 12], [-62, 10], [-52, 5], [-50, 0], [-35, -5], [-39, -13], [-41, -22], [-48, -26], [-53, -34], [-58, -38], [-65, -42], [-68, -50], [-68, -55], [-72, -52], [-75, -45], [-73, -37], [-71, -30], [-70, -18], [-76, -14], [-81, -5], [-80, 0], [-78, 2]],
+	// Europe and Asia
+	[[-10, 36], [-9, 43], [-2, 44], [-5, 48], [2, 51], [5, 53], [8, 57], [5, 58], [5, 62], [15, 69], [25, 71], [40, 68], [60, 69], [70, 73], [80, 73], [100, 78], [115, 74], [130, 71], [140, 72], [160, 70], [180, 69], [180, 65], [170, 60], [163, 59], [156, 51], [156, 57], [143, 59], [135, 54], [140, 48], [132, 43], [129, 35], [127, 38], [121, 40], [119, 37], [122, 31], [120, 26], [116, 23], [110, 21], [108, 18], [106, 11], [104, 9], [101, 13], [100, 8], [104, 1], [100, 4], [98, 8], [98, 15], [94, 17], [92, 22], [87, 21], [80, 16], [77, 8], [73, 17], [72, 21], [67, 25], [57, 26], [56, 24], [59, 22], [53, 17], [45, 13], [43, 15], [35, 28], [34, 31], [35, 36], [27, 37], [26, 40], [23, 40], [22, 37], [19, 41], [13, 45], [18, 40], [16, 38], [12, 42], [8, 44], [3, 43], [-1, 37], [-5, 36]],
+	// Africa
+	[[-17, 21], [-10, 30], [-6, 36], [10, 37], [11, 33], [20, 31], [32, 31], [34, 28], [43, 12], [51, 12], [51, 10], [45, 2], [40, -3], [40, -15], [35, -24], [32, -29], [27, -34], [20, -35], [18, -31], [12, -18], [14, -10], [12, -5], [9, -1], [9, 4], [6, 4], [-5, 5], [-8, 4], [-13, 8], [-17, 14]],
+	// Australia, New Zealand
+	[[114, -22], [114, -34], [118, -35], [124, -33], [131, -31], [138, -35], [140, -38], [147, -39], [150, -37], [153, -31], [153, -25], [146, -19], [142, -11], [136, -12], [136, -15], [130, -12], [125, -15], [122, -18]],
+	[[167, -46], [174, -41], [178, -38], [173, -35], [172, -41]],
+	// Islands large enough to see at this scale
+	[[-5, 50], [1, 51], [-2, 56], [-5, 58], [-6, 55]],
+	[[-24, 65], [-14, 66], [-14, 64], [-22, 63]],
+	[[130, 31], [135, 34], [140, 35], [142, 40], [141, 45], [140, 42], [136, 37], [130, 34]],
+	[[44, -25], [47, -25], [50, -15], [49, -12], [44, -16]],
+	[[95, 5], [98, 4], [106, -6], [101, -3]],
+	[[109, 1], [117, 7], [119, 5], [116, -4], [110, -3]],
+	[[131, -1], [141, -3], [150, -10], [142, -9], [138, -8]],
+	// Antarctica
+	[[-180, -90], [-180, -72], [-60, -64], [0, -70], [90, -66], [180, -72], [180, -90]]
+];
+
+// Equirectangular projection onto a 360x180 viewBox
+const MAP_WIDTH = 360;
+const MAP_HEIGHT = 180;
+
+function project(lat, lon) {
+	return {
+		x: Math.round((lon + 180) * 100) / 100,
+		y: Math.round((90 - lat) * 100) / 100
+	};
+}
+
+// SVG path data for every outline, built once
+const LAND_PATH = LAND.map(ring => ring.map(([lon, lat], index) => {
+	const { x, y } = project(lat, lon);
+	return `${index === 0 ? 'M' : 'L'}${x} ${y}`;
+}).join('') + 'Z').join('');
+
+module.exports = {
+	MAP_WIDTH,
+	MAP_HEIGHT,
+	LAND_PATH,
+	project
+};
@@ -0,0 +1,67 @@
+// Behaviour for the HTML pages: theme toggle, copy buttons and the dual-stack
+// addresses. Loaded as a file from /assets because the Content-Security-Policy
+// forbids inline script.
+(function () {
+	'use strict';
+
+	const root = document.documentElement;
+
+	function storedTheme() {
+		try {
+			return localStorage.getItem('theme');
+		} catch (err) {
+			return null;
+		}
+	}
+
+	// Apply a saved choice before first paint; otherwise the stylesheet follows prefers-color-scheme
+	const saved = storedTheme();
+	if (saved === 'light' || saved === 'dark') root.dataset.theme = saved;
+
+	// Clipboard access needs a secure context (HTTPS or localhost)
+	if (navigator.clipboard) root.classList.add('can-copy');
+
+	function currentTheme() {
+		return root.dataset.theme || (matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light');
+	}
+
+	// The dual-stack hosts each have records for one address family only, so each
+	// reports the address this browser has in that family
+	document.addEventListener('DOMContentLoaded', () => {
+		for (const element of document.querySelectorAll('[data-dual-stack]')) {
+			fetch(element.dataset.dualStack, { headers: { Accept: 'application/json' } })
+				.then(response => (response.ok ? response.json() : Promise.reject(new Error(response.statusText))))
+				.then(body => {
+					if (body.family !== body.expectedFamily) throw new Error(`reached over IPv${body.family}`);
+					element.textContent = body.ip;
+				})
+				.catch(() => {
+					element.textContent = 'Not available';
+					element.classList.add('muted');
+				});
+		}
+	});
+
+	document.addEventListener('click', event => {
+		if (event.target.closest('.theme-toggle')) {
+			const theme = currentTheme() === 'dark' ? 'light' : 'dark';
+			root.dataset.theme = theme;
+			try {
+				localStorage.setItem('theme', theme);
+			} catch (err) {
+				// Private browsing; the choice just won't persist
+			}
+			return;
+		}
+
+		const button = event.target.closest('[data-copy]');
+		if (!button) return;
+		navigator.clipboard.writeText(button.dataset.copy).then(() => {
+			button.textContent = 'Copied';
+		}, () => {
+			button.textContent = 'Failed';
+		}).finally(() => {
+			setTimeout(() => { button.textContent = 'Copy'; }, 1500);
+		});
+	});
+})();
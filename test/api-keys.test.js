@@ -0,0 +1,164 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const pino = require("pino");
+const { chargeQuota, createApiKeyStore, enforceApiKey } = require("../lib/api-keys");
+const { createFakeRedis, startApp } = require("./helpers");
+
+const logger = pino({ level: 'silent' });
+const NOW = new Date('2024-06-01T12:00:00Z');
+const ADMIN_API_KEY = 'test-admin-key';
+
+// Just enough of an Express response for the middleware
+function fakeResponse() {
+	return {
+		locals: {},
+		headers: {},
+		statusCode: 200,
+		body: null,
+		setHeader(name, value) {
+			this.headers[name.toLowerCase()] = value;
+		},
+		status(code) {
+			this.statusCode = code;
+			return this;
+		},
+		json(body) {
+			this.body = body;
+			return this;
+		}
+	};
+}
+
+// Run a request through enforceApiKey; resolves to the response and whether next() was called
+async function enforce(middleware, auth) {
+	const req = { path: '/batch', method: 'POST', url: '/batch', auth };
+	const res = fakeResponse();
+	let passed = false;
+	await middleware(req, res, () => {
+		passed = true;
+	});
+	return { res, passed };
+}
+
+test('API key store', async t => {
+	const redisClient = createFakeRedis();
+	const store = createApiKeyStore({ redisClient, logger, now: () => NOW });
+
+	await t.test('creates keys that verify, and stores only their hash', async () => {
+		const created = await store.create({ name: ' partner ', scopes: ['lookup', 'lookup'], quotas: { daily: 10 } });
+		assert.match(created.key, /^hd_[0-9a-f]{12}_/);
+		assert.equal(created.name, 'partner');
+		assert.deepEqual(created.scopes, ['lookup']);
+		assert.equal(redisClient.strings.get(`apikey:${created.id}`).includes(created.key), false);
+
+		assert.deepEqual(await store.verify(created.key), { id: created.id, name: 'partner', scopes: ['lookup'], quotas: { daily: 10, monthly: null } });
+		assert.deepEqual((await store.list()).map(key => key.id), [created.id]);
+	});
+
+	await t.test('rejects malformed, unknown and revoked keys with 401s', async () => {
+		const created = await store.create({ name: 'short-lived', scopes: ['batch'] });
+		assert.equal((await store.revoke(created.id)).revokedAt, NOW.toISOString());
+
+		assert.deepEqual(await store.verify(created.key), { error: 'API key has been revoked', status: 401 });
+		assert.deepEqual(await store.verify(`${created.key}x`), { error: 'Unknown API key', status: 401 });
+		assert.deepEqual(await store.verify('not-a-key'), { error: 'Malformed API key', status: 401 });
+		assert.equal(await store.revoke('000000000000'), null);
+	});
+
+	await t.test('validates new key specs', () => {
+		assert.equal(store.validateSpec({ name: 'ok', scopes: ['self'] }), null);
+		assert.match(store.validateSpec({ name: 'ok', scopes: ['everything'] }), /scopes/);
+		assert.match(store.validateSpec({ name: '', scopes: ['self'] }), /name/);
+		assert.match(store.validateSpec({ name: 'ok', scopes: ['self'], quotas: { daily: 0 } }), /quotas.daily/);
+	});
+});
+
+test('API key scopes', async t => {
+	const app = await startApp({ redisClient: createFakeRedis(), env: { ADMIN_API_KEY } });
+	t.after(() => app.close());
+
+	async function createKey(scopes) {
+		const response = await fetch(`${app.baseUrl}/admin/keys`, {
+			method: 'POST',
+			headers: { 'X-API-Key': ADMIN_API_KEY, 'Content-Type': 'application/json' },
+			body: JSON.stringify({ name: scopes.join('+'), scopes })
+		});
+		assert.equal(response.status, 201);
+		return response.json();
+	}
+	const get = (route, key) => fetch(`${app.baseUrl}${route}`, { headers: key ? { Authorization: `Bearer ${key}` } : {} });
+
+	await t.test('answers anonymous callers on scoped routes with a 401', async () => {
+		const response = await get('/1.1.1.1');
+		assert.equal(response.status, 401);
+		assert.equal(response.headers.get('www-authenticate'), 'Bearer');
+		assert.equal((await response.json()).error.code, 'authentication_required');
+		assert.equal((await get('/headers')).status, 200);
+	});
+
+	await t.test('answers keys without the scope with a 403', async () => {
+		const { key } = await createKey(['lookup']);
+		const batch = await fetch(`${app.baseUrl}/batch`, { method: 'POST', headers: { 'X-API-Key': key }, body: '' });
+		assert.equal(batch.status, 403);
+		assert.equal(batch.headers.get('www-authenticate'), null);
+
+		const admin = await get('/admin/keys', key);
+		assert.equal(admin.status, 403);
+		assert.equal((await admin.json()).error.requiredScope, 'admin');
+	});
+
+	await t.test('requires the self scope for a key looking up its caller', async () => {
+		const lookupOnly = await createKey(['lookup']);
+		const self = await get('/headers', lookupOnly.key);
+		assert.equal(self.status, 403);
+		assert.equal((await self.json()).error.requiredScope, 'self');
+
+		const withSelf = await createKey(['self']);
+		assert.equal((await get('/headers', withSelf.key)).status, 200);
+	});
+
+	await t.test('rejects a revoked key with a 401', async () => {
+		const { id, key } = await createKey(['self']);
+		const revoked = await fetch(`${app.baseUrl}/admin/keys/${id}`, { method: 'DELETE', headers: { 'X-API-Key': ADMIN_API_KEY } });
+		assert.equal(revoked.status, 200);
+
+		const response = await get('/headers', key);
+		assert.equal(response.status, 401);
+		assert.equal((await response.json()).error.code, 'invalid_api_key');
+	});
+});
+
+test('API key quotas', async t => {
+	const redisClient = createFakeRedis();
+	const store = createApiKeyStore({ redisClient, logger, now: () => NOW });
+	const middleware = enforceApiKey({ store, logger });
+	const created = await store.create({ name: 'partner', scopes: ['lookup', 'batch'], quotas: { daily: 5 } });
+	const auth = { anonymous: false, ...await store.verify(created.key) };
+
+	await t.test('counts one lookup per address', async () => {
+		const { res, passed } = await enforce(middleware, auth);
+		assert.equal(passed, true);
+		assert.equal(await chargeQuota(res, 2), true);
+		assert.deepEqual(await store.usage(created.id), { today: 3, thisMonth: 3 });
+	});
+
+	await t.test('rejects a request whose addresses exceed the quota without counting any of it', async () => {
+		const { res, passed } = await enforce(middleware, auth);
+		assert.equal(passed, true);
+		assert.equal(await chargeQuota(res, 3), false);
+		assert.equal(res.statusCode, 429);
+		assert.equal(res.body.error.code, 'quota_exceeded');
+		assert.deepEqual(await store.usage(created.id), { today: 3, thisMonth: 3 });
+	});
+
+	await t.test('rejects requests once the quota is used up and rolls the count back', async () => {
+		assert.equal((await enforce(middleware, auth)).passed, true);
+		assert.equal((await enforce(middleware, auth)).passed, true);
+
+		const { res, passed } = await enforce(middleware, auth);
+		assert.equal(passed, false);
+		assert.equal(res.statusCode, 429);
+		assert.equal(res.body.error.period, 'daily');
+		assert.deepEqual(await store.usage(created.id), { today: 5, thisMonth: 5 });
+	});
+});
@@ -0,0 +1,138 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const zlib = require("zlib");
+const { createAsnDatabase } = require("../lib/asn");
+const { createRangeTable } = require("../lib/range-table");
+
+const IP2ASN = [
+	'1.0.0.0\t1.0.0.255\t13335\tUS\tCLOUDFLARENET',
+	'1.0.1.0\t1.0.3.255\t0\tNone\tNot routed',
+	'8.8.8.0\t8.8.9.255\t15169\tUS\tGOOGLE',
+	'2001:db8::\t2001:db8:0:ffff:ffff:ffff:ffff:ffff\t64500\tNone\tDOCUMENTATION'
+].join('\n');
+
+const DELEGATED = [
+	'arin|US|ipv4|8.8.8.0|768|19921201|allocated',
+	'apnic|AU|ipv6|2001:db8::|32|20000101|assigned'
+].join('\n');
+
+// Logger that lets a test wait for an event
+function recordingLogger() {
+	const waiters = [];
+	const record = entry => {
+		for (const waiter of waiters.filter(({ event }) => event === entry.event)) {
+			waiters.splice(waiters.indexOf(waiter), 1);
+			waiter.resolve(entry);
+		}
+	};
+	return {
+		info: record,
+		error: record,
+		// The file watchers don't hold the process open, so the timeout also keeps the test alive
+		next(event) {
+			let timer;
+			return Promise.race([
+				new Promise(resolve => waiters.push({ event, resolve })),
+				new Promise((resolve, reject) => {
+					timer = setTimeout(() => reject(new Error(`No ${event} event`)), 5000);
+				})
+			]).finally(() => clearTimeout(timer));
+		}
+	};
+}
+
+async function waitUntilLoaded(database) {
+	while (database.loading) {
+		await new Promise(resolve => setTimeout(resolve, 10));
+	}
+}
+
+test('range table', async t => {
+	await t.test('finds ranges added out of order and drops overlapping ones', () => {
+		const table = createRangeTable();
+		table.add(4, 20n, 29n, 'later');
+		table.add(4, 10n, 25n, 'first');
+		table.add(6, 5n << 64n, (5n << 64n) + 9n, 'high');
+		table.add(6, 1n, 9n, 'low');
+
+		assert.equal(table.build(), 1);
+		assert.equal(table.size(), 3);
+		assert.equal(table.lookup('0.0.0.12').value, 'first');
+		assert.equal(table.lookup('0.0.0.27'), null);
+		assert.equal(table.lookup('::5:0:0:0:9').value, 'high');
+		assert.equal(table.lookup('::a'), null);
+		assert.equal(table.lookup('not an address'), null);
+	});
+});
+
+test('ASN datasets', async t => {
+	const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'asn-test-'));
+	t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+	const ip2asnPath = path.join(dir, 'ip2asn.tsv');
+	const delegatedPath = path.join(dir, 'delegated.txt.gz');
+	fs.writeFileSync(ip2asnPath, IP2ASN);
+	fs.writeFileSync(delegatedPath, zlib.gzipSync(DELEGATED));
+
+	await t.test('loads the text datasets in the background', async () => {
+		const database = createAsnDatabase({ logger: recordingLogger(), ip2asnPath, delegatedPaths: [delegatedPath], watchIntervalMs: 0 });
+		assert.equal(database.loading, true);
+		assert.equal(database.lookup('8.8.8.8'), null);
+
+		await waitUntilLoaded(database);
+		assert.deepEqual(database.lookup('8.8.9.4'), {
+			asn: 15169,
+			asName: 'GOOGLE',
+			prefix: '8.8.8.0/23',
+			country: 'US',
+			rir: 'ARIN',
+			allocated: '1992-12-01',
+			allocatedPrefix: '8.8.8.0/23',
+			registryStatus: 'allocated',
+			source: 'ip2asn'
+		});
+	});
+
+	await t.test('reports the block of an unaligned range that holds the address', async () => {
+		const database = createAsnDatabase({ logger: recordingLogger(), delegatedPaths: [delegatedPath], watchIntervalMs: 0 });
+		await waitUntilLoaded(database);
+		const result = database.lookup('8.8.10.1');
+		assert.equal(result.allocatedPrefix, '8.8.10.0/24');
+		assert.equal(result.source, 'delegated');
+	});
+
+	await t.test('matches IPv6 and skips unannounced ranges', async () => {
+		const database = createAsnDatabase({ logger: recordingLogger(), ip2asnPath, delegatedPaths: [delegatedPath], watchIntervalMs: 0 });
+		await waitUntilLoaded(database);
+		const result = database.lookup('2001:db8::1');
+		assert.equal(result.asn, 64500);
+		assert.equal(result.prefix, '2001:db8::/48');
+		assert.equal(result.country, 'AU');
+		assert.equal(result.allocatedPrefix, '2001:db8::/32');
+		assert.equal(database.lookup('1.0.2.1'), null);
+	});
+
+	await t.test('throws at startup for a missing file', () => {
+		assert.throws(() => createAsnDatabase({ logger: recordingLogger(), ip2asnPath: path.join(dir, 'missing.tsv') }), { code: 'ENOENT' });
+	});
+
+	await t.test('reloads a replaced file and keeps the old copy until it is ready', async () => {
+		const reloadPath = path.join(dir, 'reload.tsv');
+		fs.writeFileSync(reloadPath, IP2ASN);
+		const logger = recordingLogger();
+		const database = createAsnDatabase({ logger, ip2asnPath: reloadPath, watchIntervalMs: 20 });
+		t.after(() => database.close());
+		await waitUntilLoaded(database);
+
+		const reloaded = logger.next('asn_dataset_reloaded');
+		fs.writeFileSync(reloadPath, '1.0.0.0\t1.0.0.255\t64501\tAU\tREPLACEMENT');
+		fs.utimesSync(reloadPath, new Date(), new Date(Date.now() + 5000));
+		assert.equal(database.lookup('1.0.0.1').asn, 13335);
+
+		await reloaded;
+		assert.equal(database.lookup('1.0.0.1').asn, 64501);
+		assert.equal(database.lookup('8.8.8.8'), null);
+	});
+});
@@ -0,0 +1,194 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { appConfigFromEnv } = require("../lib/app");
+const { createTieredCache } = require("../lib/cache");
+const { createFakeResolver, createMemoryCache, ipApiSuccess, startApp, startStubIpApi } = require("./helpers");
+
+const { CACHE_TTL } = appConfigFromEnv({});
+
+test('in-memory cache tier', async t => {
+	await t.test('evicts the least recently used entry', async () => {
+		const tier = createTieredCache({ remote: createMemoryCache({ available: false }), maxEntries: 2, staleTtl: 60 });
+		await tier.set('asn:a', 1, 60);
+		await tier.set('asn:b', 2, 60);
+		await tier.get('asn:a');
+		await tier.set('asn:c', 3, 60);
+
+		assert.equal(await tier.get('asn:a'), '{"v":1,"value":1}');
+		assert.equal(await tier.get('asn:b'), null);
+		assert.equal(await tier.get('asn:c'), '{"v":1,"value":3}');
+	});
+
+	await t.test('keeps values read from Redis for the TTL Redis has left', async t => {
+		t.mock.timers.enable({ apis: ['Date'] });
+		const remote = createMemoryCache();
+		await remote.set('geo:1.1.1.1', { city: 'Brisbane' }, 10);
+		const tier = createTieredCache({ remote, maxEntries: 10, staleTtl: 60 });
+
+		t.mock.timers.tick(4000);
+		assert.equal(await tier.get('geo:1.1.1.1'), '{"city":"Brisbane"}');
+		remote.entries.clear();
+		assert.equal(await tier.get('geo:1.1.1.1'), '{"city":"Brisbane"}', 'second read should come from memory');
+
+		t.mock.timers.tick(6000);
+		assert.equal(await tier.get('geo:1.1.1.1'), null);
+		assert.equal(tier.getStale('geo:1.1.1.1'), '{"city":"Brisbane"}');
+
+		t.mock.timers.tick(60000);
+		assert.equal(tier.getStale('geo:1.1.1.1'), null);
+	});
+
+	await t.test('fills batch reads from memory before Redis', async () => {
+		const remote = createMemoryCache();
+		await remote.set('dns:a', 'remote', 60);
+		const tier = createTieredCache({ remote, maxEntries: 10, staleTtl: 60 });
+		await tier.set('dns:b', 'memory', 60);
+
+		assert.deepEqual(await tier.getMany(['dns:a', 'dns:b', 'dns:c']), ['"remote"', '{"v":2,"value":"memory"}', null]);
+	});
+});
+
+test('concurrent misses share one lookup', async t => {
+	const stub = await startStubIpApi(ip => ({ delayMs: 100, body: ipApiSuccess(ip) }));
+	t.after(() => stub.close());
+
+	const app = await startApp({ ipApiUrl: stub.url });
+	t.after(() => app.close());
+
+	const results = await Promise.all(Array.from({ length: 5 }, () => app.getGeolocationWithCache('1.1.1.1')));
+	assert.ok(results.every(({ result }) => result.city === 'Brisbane'));
+	assert.equal(stub.requests.length, 1);
+});
+
+test('lookups stay cached in memory while Redis is down', async t => {
+	const resolver = createFakeResolver({
+		reverse: { '1.1.1.1': { ptrRecords: [{ name: 'one.one.one.one', a: ['1.1.1.1'], aaaa: [], forwardConfirmed: true }], forwardConfirmed: true } }
+	});
+	const app = await startApp({ resolver, cache: createMemoryCache({ available: false }) });
+	t.after(() => app.close());
+
+	await app.reverseDnsWithCache('1.1.1.1');
+	const second = await app.reverseDnsWithCache('1.1.1.1');
+	assert.equal(second.cacheStatus, 'hit');
+	assert.equal(resolver.calls.reverseLookup, 1);
+});
+
+test('expired entries are served while they refresh', async t => {
+	t.mock.timers.enable({ apis: ['Date'] });
+	const records = { 'A example.com': { ttl: 120, records: [{ address: '192.0.2.1', ttl: 120 }] } };
+	const app = await startApp({ resolver: createFakeResolver({ records }) });
+	t.after(() => app.close());
+
+	await app.queryDnsWithCache('example.com', 'A');
+	records['A example.com'] = { ttl: 120, records: [{ address: '192.0.2.2', ttl: 120 }] };
+	t.mock.timers.tick(121000);
+
+	const stale = await app.queryDnsWithCache('example.com', 'A');
+	assert.equal(stale.cacheStatus, 'stale');
+	assert.equal(stale.answer.records[0].address, '192.0.2.1');
+	assert.equal(stale.answer.ttl, 0);
+
+	await new Promise(resolve => setImmediate(resolve));
+	const refreshed = await app.queryDnsWithCache('example.com', 'A');
+	assert.equal(refreshed.cacheStatus, 'hit');
+	assert.equal(refreshed.answer.records[0].address, '192.0.2.2');
+});
+
+test('cache administration', async t => {
+	const ADMIN_API_KEY = 'test-admin-key';
+	const stub = await startStubIpApi(ip => ({ body: ipApiSuccess(ip) }));
+	t.after(() => stub.close());
+
+	const resolver = createFakeResolver({
+		reverse: { '1.1.1.1': { ptrRecords: [{ name: 'one.one.one.one', a: ['1.1.1.1'], aaaa: [], forwardConfirmed: true }], forwardConfirmed: true } }
+	});
+	const app = await startApp({ ipApiUrl: stub.url, resolver, env: { ADMIN_API_KEY } });
+	t.after(() => app.close());
+
+	const admin = (path, { method = 'GET', body, type = 'application/json' } = {}) => fetch(`${app.baseUrl}${path}`, {
+		method,
+		headers: { 'X-API-Key': ADMIN_API_KEY, ...(body !== undefined && { 'Content-Type': type }) },
+		body: body === undefined ? undefined : type === 'application/json' ? JSON.stringify(body) : body
+	});
+
+	await t.test('requires the admin scope', async () => {
+		const response = await fetch(`${app.baseUrl}/admin/cache/stats`);
+		assert.equal(response.status, 401);
+	});
+
+	await t.test('warms the cache from an uploaded list', async () => {
+		const response = await admin('/admin/cache/warm', { method: 'POST', body: '1.1.1.1\n10.0.0.1\nnot-an-ip\n', type: 'text/plain' });
+		const summary = await response.json();
+		assert.equal(response.status, 200);
+		assert.deepEqual(
+			[summary.warmed, summary.alreadyCached, summary.nonGlobal, summary.invalid, summary.withErrors],
+			[1, 0, 1, 1, 0]
+		);
+		assert.ok(app.cache.entries.has('geo:1.1.1.1'));
+
+		const again = await (await admin('/admin/cache/warm', { method: 'POST', body: ['1.1.1.1'] })).json();
+		assert.equal(again.alreadyCached, 1);
+		assert.equal(stub.requests.length, 1);
+	});
+
+	await t.test('shows an entry with its remaining TTL in both tiers', async () => {
+		const entry = await (await admin('/admin/cache/entries/geo:1.1.1.1')).json();
+		assert.equal(entry.namespace, 'geo');
+		assert.equal(entry.redis.current, true);
+		assert.equal(entry.redis.value.city, 'Brisbane');
+		assert.ok(entry.redis.ttl > 0 && entry.redis.ttl <= CACHE_TTL.GEO);
+		assert.equal(entry.memory.stale, false);
+	});
+
+	await t.test('flags entries from another schema version', async () => {
+		await app.cache.set('geo:192.0.2.9', { status: 'success', city: 'Old format' }, 60);
+		const entry = await (await admin('/admin/cache/entries/geo:192.0.2.9')).json();
+		assert.equal(entry.redis.current, false);
+		assert.equal(entry.redis.value.city, 'Old format');
+		assert.equal(entry.memory, null);
+	});
+
+	await t.test('rejects keys outside the lookup namespaces', async () => {
+		const response = await admin('/admin/cache/entries/apikey:abc');
+		assert.equal(response.status, 400);
+	});
+
+	await t.test('reports per-namespace statistics', async () => {
+		const patterns = [];
+		const scanKeys = app.cache.scanKeys;
+		app.cache.scanKeys = pattern => {
+			patterns.push(pattern);
+			return scanKeys(pattern);
+		};
+		const stats = await (await admin('/admin/cache/stats')).json();
+		app.cache.scanKeys = scanKeys;
+		assert.deepEqual(patterns, ['dns:*', 'geo:*', 'asn:*', 'dnsq:*']);
+		assert.equal(stats.namespaces.geo.redisKeys, 2);
+		assert.equal(stats.namespaces.geo.schemaVersion, 2);
+		assert.equal(stats.namespaces.geo.lookups.miss, 1);
+		assert.equal(stats.namespaces.geo.lookups.hit, 1);
+		assert.equal(stats.namespaces.dns.redisKeys, 1);
+	});
+
+	await t.test('purges every entry for an address', async () => {
+		const { purged } = await (await admin('/admin/cache/purge', { method: 'POST', body: { ip: '1.1.1.1' } })).json();
+		assert.deepEqual(purged, { redis: 2, memory: 2 });
+		assert.equal((await admin('/admin/cache/entries/dns:1.1.1.1')).status, 404);
+	});
+
+	await t.test('purges by SCAN pattern', async () => {
+		await app.cache.set('geo:192.0.2.10', { v: 2, value: null }, 60);
+		await app.cache.set('dns:192.0.2.10', { v: 2, value: null }, 60);
+		const { purged } = await (await admin('/admin/cache/purge', { method: 'POST', body: { pattern: 'geo:192.0.2.*' } })).json();
+		assert.equal(purged.redis, 2);
+		assert.ok(app.cache.entries.has('dns:192.0.2.10'));
+	});
+
+	await t.test('refuses patterns outside the lookup namespaces', async () => {
+		// "dns*" would also match every dnsq: key
+		for (const pattern of ['*', 'apikey:*', 'geo:[12]*', 'dns*', 'dns']) {
+			const response = await admin('/admin/cache/purge', { method: 'POST', body: { pattern } });
+			assert.equal(response.status, 400, pattern);
+		}
+	});
+});
@@ -0,0 +1,116 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers");
+
+// Requests come from 127.0.0.1, which the default TRUSTED_PROXIES (loopback,private) trusts
+
+async function lookupSelf(app, headers = {}) {
+	const response = await fetch(`${app.baseUrl}/json`, { headers });
+	assert.equal(response.status, 200);
+	return response.json();
+}
+
+test('client IP detection', async t => {
+	const app = await startApp();
+	t.after(() => app.close());
+
+	await t.test('uses the connection address without forwarding headers', async () => {
+		const body = await lookupSelf(app);
+		assert.equal(body.ip, '127.0.0.1');
+		assert.equal(body.ipSource, 'connection');
+		assert.equal(body.classification.category, 'loopback');
+	});
+
+	await t.test('takes the right-most untrusted X-Forwarded-For hop', async () => {
+		const body = await lookupSelf(app, { 'X-Forwarded-For': '198.51.100.1, 203.0.113.9, 10.0.0.2' });
+		assert.equal(body.ip, '203.0.113.9');
+		assert.equal(body.ipSource, 'x-forwarded-for');
+		assert.deepEqual(body.proxyChain.map(hop => [hop.address, hop.trusted, hop.selected]), [
+			['198.51.100.1', null, false],
+			['203.0.113.9', false, true],
+			['10.0.0.2', true, false],
+			['127.0.0.1', true, false]
+		]);
+	});
+
+	await t.test('ignores a spoofed left-most X-Forwarded-For entry', async () => {
+		const body = await lookupSelf(app, { 'X-Forwarded-For': '127.0.0.1, 192.0.2.44' });
+		assert.equal(body.ip, '192.0.2.44');
+	});
+
+	await t.test('ignores Forwarded and X-Real-IP sent by the client', async () => {
+		const body = await lookupSelf(app, {
+			Forwarded: 'for=1.2.3.4',
+			'X-Real-IP': '1.2.3.5',
+			'X-Forwarded-For': '9.9.9.9, 10.0.0.1'
+		});
+		assert.equal(body.ip, '9.9.9.9');
+		assert.equal(body.ipSource, 'x-forwarded-for');
+	});
+
+	await t.test('collapses IPv4-mapped IPv6 to IPv4', async () => {
+		const body = await lookupSelf(app, { 'X-Forwarded-For': '::ffff:198.51.100.5' });
+		assert.equal(body.ip, '198.51.100.5');
+		assert.equal(body.family, 4);
+	});
+
+	await t.test('writes IPv6 in RFC 5952 form', async () => {
+		const body = await lookupSelf(app, { 'X-Forwarded-For': '2001:DB8:0:0:0:0:0:00A1' });
+		assert.equal(body.ip, '2001:db8::a1');
+		assert.equal(body.family, 6);
+	});
+
+	await t.test('returns the bare address from /ip', async () => {
+		const response = await fetch(`${app.baseUrl}/ip`, { headers: { 'X-Forwarded-For': '198.51.100.1' } });
+		assert.equal(await response.text(), '198.51.100.1\n');
+	});
+
+	await t.test('answers /ip and /ua without looking the address up', async () => {
+		const before = app.resolver.calls.reverseLookup;
+		const ip = await fetch(`${app.baseUrl}/ip`, { headers: { 'X-Forwarded-For': '8.8.8.8' } });
+		assert.equal(await ip.text(), '8.8.8.8\n');
+		const ua = await fetch(`${app.baseUrl}/ua`, { headers: { 'X-Forwarded-For': '8.8.8.8', 'User-Agent': 'curl/8.5.0' } });
+		assert.equal(await ua.text(), 'curl/8.5.0\n');
+
+		assert.equal(app.resolver.calls.reverseLookup, before);
+		assert.equal(app.cache.entries.has('dns:8.8.8.8'), false);
+	});
+});
+
+test('TRUSTED_PROXY_HEADER selects the header the proxies write', async t => {
+	await t.test('reads RFC 7239 Forwarded and ignores X-Forwarded-For', async t => {
+		const app = await startApp({ env: { TRUSTED_PROXY_HEADER: 'Forwarded' } });
+		t.after(() => app.close());
+
+		const body = await lookupSelf(app, {
+			Forwarded: 'for="[2001:db8::1]:4711";proto=https, for=10.0.0.2',
+			'X-Forwarded-For': '198.51.100.1'
+		});
+		assert.equal(body.ip, '2001:db8::1');
+		assert.equal(body.ipSource, 'forwarded');
+		assert.equal(body.classification.category, 'documentation');
+	});
+
+	await t.test('reads single-address headers such as X-Real-IP', async t => {
+		const app = await startApp({ env: { TRUSTED_PROXY_HEADER: 'x-real-ip' } });
+		t.after(() => app.close());
+
+		const body = await lookupSelf(app, { 'X-Real-IP': '198.51.100.77', 'X-Forwarded-For': '198.51.100.1' });
+		assert.equal(body.ip, '198.51.100.77');
+		assert.equal(body.ipSource, 'x-real-ip');
+	});
+
+	await t.test('rejects headers that carry no client address', async () => {
+		await assert.rejects(startApp({ env: { TRUSTED_PROXY_HEADER: 'user-agent' } }), /Unknown client IP header/);
+	});
+});
+
+test('forwarding headers from an untrusted peer are ignored', async t => {
+	const app = await startApp({ env: { TRUSTED_PROXIES: '192.0.2.0/24' } });
+	t.after(() => app.close());
+
+	const body = await lookupSelf(app, { 'X-Forwarded-For': '198.51.100.1' });
+	assert.equal(body.ip, '127.0.0.1');
+	assert.equal(body.ipSource, 'connection');
+	assert.equal(body.proxyChain[0].trusted, null);
+});
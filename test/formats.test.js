@@ -0,0 +1,181 @@
+const http = require("node:http");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { generateHTML, html } = require("../lib/html");
+const { CHROME_UA, startApp } = require("./helpers");
+
+test('response format selection', async t => {
+	const app = await startApp();
+	t.after(() => app.close());
+
+	const get = (path, headers = {}) => fetch(`${app.baseUrl}${path}`, { headers });
+
+	await t.test('serves HTML to browsers', async () => {
+		const response = await get('/', { 'User-Agent': CHROME_UA });
+		assert.match(response.headers.get('content-type'), /^text\/html/);
+		assert.match(await response.text(), /^<!DOCTYPE html>/);
+	});
+
+	await t.test('serves JSON to everything else', async () => {
+		const response = await get('/', { 'User-Agent': 'curl/8.5.0' });
+		assert.match(response.headers.get('content-type'), /^application\/json/);
+		const body = await response.json();
+		assert.equal(body.ip, '127.0.0.1');
+		assert.equal(body.userAgent.isBrowser, false);
+	});
+
+	await t.test('lets browsers ask for JSON with Accept', async () => {
+		const response = await get('/', { 'User-Agent': CHROME_UA, Accept: 'application/json' });
+		assert.match(response.headers.get('content-type'), /^application\/json/);
+	});
+
+	await t.test('prefers ?format= over Accept', async () => {
+		const response = await get('/?format=yaml', { Accept: 'application/json' });
+		assert.match(response.headers.get('content-type'), /^application\/yaml/);
+		assert.match(await response.text(), /^currentTs: /);
+	});
+
+	await t.test('prefers extension routes over ?format=', async () => {
+		const response = await get('/csv?format=json');
+		assert.match(response.headers.get('content-type'), /^text\/csv/);
+	});
+
+	await t.test('trims machine-readable output with ?fields=', async () => {
+		const response = await get('/json?fields=ip,classification.category');
+		assert.deepEqual(await response.json(), { ip: '127.0.0.1', classification: { category: 'loopback' } });
+	});
+
+	await t.test('rejects unknown formats', async () => {
+		const response = await get('/?format=pdf');
+		assert.equal(response.status, 400);
+		assert.equal((await response.json()).error.code, 'unsupported_format');
+	});
+
+	await t.test('labels metrics with the path a multi-path route matched', async () => {
+		await get('/json');
+		await get('/country');
+		const exposition = await (await get('/metrics')).text();
+		assert.match(exposition, /hostdetail_http_requests_total\{[^}]*route="\/json"/);
+		assert.match(exposition, /hostdetail_http_requests_total\{[^}]*route="\/country"/);
+		assert.doesNotMatch(exposition, /route="[^"]*,/);
+	});
+
+	await t.test('varies on Accept and User-Agent', async () => {
+		const response = await get('/');
+		assert.equal(response.headers.get('vary'), 'Accept, User-Agent');
+	});
+
+	await t.test('escapes request headers in HTML', async () => {
+		const response = await get('/headers', { 'User-Agent': CHROME_UA, 'X-Probe': '<script>alert(1)</script>' });
+		const html = await response.text();
+		assert.ok(html.includes('&lt;script&gt;alert(1)&lt;/script&gt;'));
+		assert.ok(!html.includes('<script>alert(1)</script>'));
+	});
+
+	await t.test('escapes a crafted User-Agent on the lookup page', async () => {
+		const response = await get('/', { 'User-Agent': `${CHROME_UA} <img src=x onerror=alert(1)>` });
+		const html = await response.text();
+		assert.match(response.headers.get('content-type'), /^text\/html/);
+		assert.ok(html.includes('&lt;img src=x onerror=alert(1)&gt;'));
+		assert.ok(!html.includes('<img'));
+	});
+
+	await t.test('sends a strict Content-Security-Policy with no inline script or style', async () => {
+		const response = await get('/', { 'User-Agent': CHROME_UA });
+		const csp = response.headers.get('content-security-policy');
+		assert.match(csp, /default-src 'none'/);
+		assert.match(csp, /script-src 'self'/);
+		assert.doesNotMatch(csp, /unsafe-inline/);
+
+		const html = await response.text();
+		assert.doesNotMatch(html, /<style|style="|<script>/);
+		assert.match(html, /<script src="\/assets\/app.js"><\/script>/);
+	});
+
+	await t.test('serves the page assets without an API key', async () => {
+		const response = await get('/assets/app.css');
+		assert.equal(response.status, 200);
+		assert.match(response.headers.get('content-type'), /^text\/css/);
+	});
+
+	await t.test('echoes headers with their casing and credentials redacted', async () => {
+		// An Authorization header would be checked as an API key, so use the other redacted headers
+		const response = await get('/headers', { 'Proxy-Authorization': 'Basic c2VjcmV0', Cookie: 'session=secret' });
+		const { headers } = await response.json();
+		assert.equal(headers['Proxy-Authorization'], '[Redacted]');
+		assert.equal(headers.Cookie, '[Redacted]');
+	});
+});
+
+test('html template tag', async t => {
+	await t.test('escapes interpolated values but not nested fragments', () => {
+		const name = '"><script>';
+		const markup = String(html`<p title="${name}">${[html`<b>${name}</b>`, null, false]}</p>`);
+		assert.equal(markup, '<p title="&quot;&gt;&lt;script&gt;"><b>&quot;&gt;&lt;script&gt;</b></p>');
+	});
+
+	await t.test('draws a map marker at the geolocation coordinates', () => {
+		const page = generateHTML({ ip: '1.1.1.1', currentTs: new Date(), geolocation: { country: 'Australia', countryCode: 'AU', lat: -27.5, lon: 153 } });
+		assert.match(page, /<svg class="map"/);
+		assert.match(page, /<circle class="map-marker" cx="333" cy="117.5"/);
+	});
+
+	await t.test('shows local time and distance in the geographic section', () => {
+		const page = generateHTML({
+			ip: '1.1.1.1',
+			currentTs: new Date(),
+			geolocation: { country: 'Australia', countryCode: 'AU', timezone: 'Australia/Sydney', lat: -33.9, lon: 151.2 },
+			localTime: { timezone: 'Australia/Sydney', time: '2024-01-15T11:00:00+11:00', utcOffset: '+11:00', utcOffsetMinutes: 660, isDst: true },
+			distance: { from: { name: '<Home>', lat: -27.5, lon: 153 }, km: 1234.5, miles: 767.1, bearing: 200.3, compass: 'SSW' }
+		});
+		assert.match(page, /11:00 \(UTC\+11:00\)/);
+		assert.match(page, /Daylight saving time/);
+		assert.match(page, /1,234\.5 km \(767\.1 mi\)/);
+		assert.match(page, /SSW of &lt;Home&gt;/);
+	});
+
+	await t.test('shows Unknown for missing geolocation fields', () => {
+		const page = generateHTML({
+			hostname: 'example.test',
+			currentTs: new Date(),
+			geolocation: { country: null, countryCode: null },
+			addresses: [{ family: 4, ip: '192.0.2.1', geolocation: { city: null, country: 'Australia', isp: null } }]
+		});
+		assert.doesNotMatch(page, /null/);
+		assert.match(page, /Australia · Unknown/);
+	});
+
+	await t.test('adds copy buttons carrying the escaped value', () => {
+		const page = generateHTML({ ip: '2001:db8::1', reverseLookup: 'a"b.example', currentTs: new Date() });
+		assert.match(page, /data-copy="2001:db8::1"/);
+		assert.match(page, /data-copy="a&quot;b.example"/);
+	});
+});
+
+test('dual-stack hosts', async t => {
+	const app = await startApp({ env: { DUAL_STACK_DOMAIN: 'example.test' } });
+	t.after(() => app.close());
+
+	await t.test('echo the address with the family the host serves', async () => {
+		// fetch() won't override Host
+		const response = await new Promise((resolve, reject) => {
+			http.get(`${app.baseUrl}/`, { headers: { Host: 'v6.example.test' } }, resolve).on('error', reject);
+		});
+		let text = '';
+		for await (const chunk of response) text += chunk;
+		const body = JSON.parse(text);
+		assert.equal(response.headers['access-control-allow-origin'], '*');
+		assert.equal(body.ip, '127.0.0.1');
+		assert.equal(body.family, 4);
+		assert.equal(body.expectedFamily, 6);
+		assert.equal(body.geolocation, undefined);
+	});
+
+	await t.test('are checked from the lookup page on the main host', async () => {
+		const response = await fetch(`${app.baseUrl}/`, { headers: { 'User-Agent': CHROME_UA } });
+		assert.match(response.headers.get('content-security-policy'), /connect-src v4\.example\.test v6\.example\.test/);
+		const page = await response.text();
+		assert.match(page, /data-dual-stack="\/\/v4\.example\.test\/"/);
+		assert.match(page, /data-dual-stack="\/\/v6\.example\.test\/"/);
+	});
+});
@@ -0,0 +1,305 @@
+const dgram = require("node:dgram");
+const http = require("node:http");
+const net = require("node:net");
+const pino = require("pino");
+const { appConfigFromEnv, createApp } = require("../lib/app");
+const { globToRegExp } = require("../lib/cache");
+const { TYPE_CODES } = require("../lib/dns-ttl");
+const { createGeoProvider, geoConfigFromEnv } = require("../lib/geo");
+
+// Local stand-ins for Redis, ip-api and DNS, and an app listening on an ephemeral port
+
+const logger = pino({ level: 'silent' });
+
+const CHROME_UA = 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36';
+
+// Same interface as createRedisCache in lib/cache.js; keeps the TTL of every write so
+// tests can check it. Entries expire by Date.now(), so mocked timers age them.
+// `available: false` behaves like Redis being down.
+function createMemoryCache({ available = true } = {}) {
+	const entries = new Map();
+	const expiries = new Map();
+
+	function read(key) {
+		if (!entries.has(key)) return null;
+		if (Date.now() >= expiries.get(key)) {
+			entries.delete(key);
+			return null;
+		}
+		return entries.get(key);
+	}
+
+	return {
+		entries,
+		isReady: () => available,
+		async getWithTtl(key) {
+			const entry = read(key);
+			return entry && { value: entry.value, ttl: (expiries.get(key) - Date.now()) / 1000 };
+		},
+		async getMany(keys) {
+			return keys.map(key => read(key)?.value ?? null);
+		},
+		async set(key, value, ttl) {
+			if (!available) return false;
+			entries.set(key, { value: JSON.stringify(value), ttl });
+			expiries.set(key, Date.now() + ttl * 1000);
+			return true;
+		},
+		async* scanKeys(pattern) {
+			const matcher = globToRegExp(pattern);
+			yield* [...entries.keys()].filter(key => read(key) && matcher.test(key));
+		},
+		async remove(keys) {
+			return keys.filter(key => entries.delete(key)).length;
+		},
+		async ping() {
+			if (!available) throw new Error('connection refused');
+		}
+	};
+}
+
+// The node-redis commands the API key store uses, on Maps, without expiry.
+// `multi()` queues the same commands and exec() returns their results in order.
+function createFakeRedis() {
+	const strings = new Map();
+	const sets = new Map();
+
+	const commands = {
+		get: key => strings.get(key) ?? null,
+		set(key, value) {
+			strings.set(key, String(value));
+			return 'OK';
+		},
+		mGet: keys => keys.map(key => strings.get(key) ?? null),
+		incrBy(key, amount) {
+			const value = Number(strings.get(key) || 0) + amount;
+			strings.set(key, String(value));
+			return value;
+		},
+		decrBy: (key, amount) => commands.incrBy(key, -amount),
+		expire: () => 1,
+		sAdd(key, member) {
+			if (!sets.has(key)) sets.set(key, new Set());
+			sets.get(key).add(member);
+			return 1;
+		},
+		sMembers: key => [...(sets.get(key) || [])]
+	};
+
+	const client = { isReady: true, strings };
+	for (const [name, command] of Object.entries(commands)) {
+		client[name] = async (...args) => command(...args);
+	}
+	client.multi = () => {
+		const queued = [];
+		const transaction = { exec: async () => queued.map(run => run()) };
+		for (const [name, command] of Object.entries(commands)) {
+			transaction[name] = (...args) => {
+				queued.push(() => command(...args));
+				return transaction;
+			};
+		}
+		return transaction;
+	};
+	return client;
+}
+
+function dnsError(code) {
+	return Object.assign(new Error(`DNS lookup failed: ${code}`), { code });
+}
+
+// lib/resolver.js stand-in. Each table maps a name or address to a result or an Error
+// to throw; anything missing is ENOTFOUND. `calls` counts lookups per method.
+function createFakeResolver({ reverse = {}, hostnames = {}, records = {} } = {}) {
+	const calls = { reverseLookup: 0, resolveHostname: 0, query: 0 };
+
+	function answer(table, key) {
+		const value = table[key];
+		if (value instanceof Error) throw value;
+		if (value === undefined) throw dnsError('ENOTFOUND');
+		return value;
+	}
+
+	return {
+		calls,
+		async reverseLookup(ip) {
+			calls.reverseLookup++;
+			return answer(reverse, ip);
+		},
+		async resolveHostname(hostname) {
+			calls.resolveHostname++;
+			return answer(hostnames, hostname);
+		},
+		async query(name, type) {
+			calls.query++;
+			return { type, ...answer(records, `${type} ${name}`) };
+		},
+		describe: () => ({ servers: ['192.0.2.53'], timeoutMs: 2000, tries: 2 })
+	};
+}
+
+// DNS name in wire format, uncompressed
+function encodeDnsName(name) {
+	return Buffer.concat([...name.split('.').map(label => Buffer.concat([Buffer.from([label.length]), Buffer.from(label)])), Buffer.from([0])]);
+}
+
+// Nameserver stand-in answering from `zone`: { 'MX example.com': { ttl, rdata: [Buffer, ...] } },
+// over UDP and over TCP on the same port. Unknown names get NXDOMAIN. `server` is in the
+// "ip:port" form DNS_SERVERS takes. `truncate` makes UDP replies empty with TC set, and
+// `transform(reply)` rewrites each UDP reply, for servers that misbehave.
+async function startStubDnsServer(zone, { truncate = false, transform = reply => reply } = {}) {
+	const typeNames = Object.fromEntries(Object.entries({ A: 1, AAAA: 28, ...TYPE_CODES }).map(([name, code]) => [code, name]));
+
+	function answer(query, { truncated }) {
+		const labels = [];
+		let offset = 12;
+		while (query[offset] !== 0) {
+			labels.push(query.subarray(offset + 1, offset + 1 + query[offset]).toString());
+			offset += query[offset] + 1;
+		}
+		const questionEnd = offset + 5;
+		const type = query.readUInt16BE(offset + 1);
+		const entry = zone[`${typeNames[type]} ${labels.join('.').toLowerCase()}`];
+		const nameExists = Object.keys(zone).some(key => key.endsWith(` ${labels.join('.').toLowerCase()}`));
+		const rdatas = truncated ? [] : entry?.rdata || [];
+
+		const header = Buffer.alloc(12);
+		header.writeUInt16BE(query.readUInt16BE(0), 0);
+		header.writeUInt16BE(0x8180 | (truncated ? 0x0200 : 0) | (nameExists ? 0 : 3), 2);
+		header.writeUInt16BE(1, 4);
+		header.writeUInt16BE(rdatas.length, 6);
+
+		const answers = rdatas.map(rdata => {
+			const fixed = Buffer.alloc(12);
+			fixed.writeUInt16BE(0xc00c, 0); // Pointer to the question name
+			fixed.writeUInt16BE(type, 2);
+			fixed.writeUInt16BE(1, 4);
+			fixed.writeUInt32BE(entry.ttl, 6);
+			fixed.writeUInt16BE(rdata.length, 10);
+			return Buffer.concat([fixed, rdata]);
+		});
+		return Buffer.concat([header, query.subarray(12, questionEnd), ...answers]);
+	}
+
+	const socket = dgram.createSocket('udp4');
+	socket.on('message', (query, remote) => {
+		socket.send(transform(answer(query, { truncated: truncate })), remote.port, remote.address);
+	});
+	await new Promise(resolve => socket.bind(0, '127.0.0.1', resolve));
+
+	const tcpServer = net.createServer(connection => {
+		let data = Buffer.alloc(0);
+		connection.on('data', chunk => {
+			data = Buffer.concat([data, chunk]);
+			if (data.length < 2 || data.length < 2 + data.readUInt16BE(0)) return;
+			const reply = answer(data.subarray(2, 2 + data.readUInt16BE(0)), { truncated: false });
+			const prefix = Buffer.alloc(2);
+			prefix.writeUInt16BE(reply.length, 0);
+			connection.end(Buffer.concat([prefix, reply]));
+		});
+	});
+	await new Promise(resolve => tcpServer.listen(socket.address().port, '127.0.0.1', resolve));
+
+	return {
+		server: `127.0.0.1:${socket.address().port}`,
+		close: () => Promise.all([
+			new Promise(resolve => socket.close(resolve)),
+			new Promise(resolve => tcpServer.close(resolve))
+		])
+	};
+}
+
+// ip-api stand-in. `respond(ip)` returns { status, body, delayMs }; `requests` lists the IPs asked for.
+async function startStubIpApi(respond) {
+	const requests = [];
+	const server = http.createServer((req, res) => {
+		const ip = decodeURIComponent(req.url.replace(/^\/json\//, ''));
+		requests.push(ip);
+
+		const { status = 200, body = {}, delayMs = 0 } = respond(ip);
+		setTimeout(() => {
+			if (res.destroyed) return;
+			res.writeHead(status, { 'Content-Type': 'application/json' });
+			res.end(JSON.stringify(body));
+		}, delayMs);
+	});
+	await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+	return {
+		url: `http://127.0.0.1:${server.address().port}/json/`,
+		requests,
+		close() {
+			server.closeAllConnections();
+			return new Promise(resolve => server.close(resolve));
+		}
+	};
+}
+
+// A successful ip-api answer for `ip`
+function ipApiSuccess(ip, fields = {}) {
+	return {
+		status: 'success',
+		query: ip,
+		country: 'Australia',
+		countryCode: 'AU',
+		region: 'QLD',
+		regionName: 'Queensland',
+		city: 'Brisbane',
+		zip: '4000',
+		lat: -27.4766,
+		lon: 153.0166,
+		timezone: 'Australia/Brisbane',
+		isp: 'Cloudflare, Inc',
+		org: 'APNIC and Cloudflare DNS Resolver project',
+		as: 'AS13335 Cloudflare, Inc.',
+		...fields
+	};
+}
+
+// createApp with in-memory stand-ins, served on 127.0.0.1. `env` goes through the
+// same parsing as the real environment; `geo` overrides the geolocation config.
+// Redis is disconnected unless a `redisClient` such as createFakeRedis() is passed.
+async function startApp({ ipApiUrl = 'http://127.0.0.1:9/json/', geo = {}, env = {}, resolver = createFakeResolver(), cache = createMemoryCache(), redisClient } = {}) {
+	const geoProvider = createGeoProvider({
+		...geoConfigFromEnv({}),
+		ipApiUrl,
+		timeoutMs: 500,
+		...geo
+	}, { logger });
+
+	const instance = createApp({
+		cache,
+		geoProvider,
+		resolver,
+		logger,
+		redisClient,
+		config: appConfigFromEnv(env)
+	});
+
+	const server = instance.app.listen(0, '127.0.0.1');
+	await new Promise(resolve => server.once('listening', resolve));
+
+	return {
+		...instance,
+		cache,
+		resolver,
+		baseUrl: `http://127.0.0.1:${server.address().port}`,
+		close() {
+			server.closeAllConnections();
+			return new Promise(resolve => server.close(resolve));
+		}
+	};
+}
+
+module.exports = {
+	CHROME_UA,
+	createMemoryCache,
+	createFakeRedis,
+	createFakeResolver,
+	dnsError,
+	encodeDnsName,
+	startStubDnsServer,
+	startStubIpApi,
+	ipApiSuccess,
+	startApp
+};
@@ -0,0 +1,28 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { classifyAddress } = require("../lib/ip-classification");
+
+test('address classification', async t => {
+	await t.test('treats IETF protocol assignments as reserved', () => {
+		const teredo = classifyAddress('2001:0:4136:e378::1');
+		assert.equal(teredo.category, 'reserved');
+		assert.equal(teredo.range, '2001::/32');
+		assert.equal(classifyAddress('2001:1::3').range, '2001::/23');
+		assert.equal(classifyAddress('2001:2::1').name, 'Benchmarking');
+	});
+
+	await t.test('keeps the globally reachable assignments inside 2001::/23 global', () => {
+		for (const [address, range] of [
+			['2001:1::1', '2001:1::1/128'],
+			['2001:1::2', '2001:1::2/128'],
+			['2001:3::10', '2001:3::/32'],
+			['2001:4:112::1', '2001:4:112::/48'],
+			['2001:20::1', '2001:20::/28'],
+			['2001:30::1', '2001:30::/28']
+		]) {
+			const classification = classifyAddress(address);
+			assert.equal(classification.isGlobal, true, address);
+			assert.equal(classification.range, range, address);
+		}
+	});
+});
@@ -0,0 +1,52 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { greatCircle, localTimeIn, parseReferencePoint } = require("../lib/location");
+
+test('local time', async t => {
+	await t.test('reports the offset and DST north of the equator', () => {
+		const summer = localTimeIn('Europe/London', new Date('2024-07-01T12:00:00Z'));
+		assert.deepEqual(summer, { timezone: 'Europe/London', time: '2024-07-01T13:00:00+01:00', utcOffset: '+01:00', utcOffsetMinutes: 60, isDst: true });
+		assert.equal(localTimeIn('Europe/London', new Date('2024-01-15T12:00:00Z')).isDst, false);
+	});
+
+	await t.test('treats January as summer south of the equator', () => {
+		const summer = localTimeIn('Australia/Sydney', new Date('2024-01-15T00:00:00Z'));
+		assert.equal(summer.utcOffset, '+11:00');
+		assert.equal(summer.isDst, true);
+		assert.equal(localTimeIn('Australia/Sydney', new Date('2024-07-01T00:00:00Z')).isDst, false);
+	});
+
+	await t.test('handles fractional and negative offsets and zones without DST', () => {
+		assert.equal(localTimeIn('Asia/Kolkata', new Date('2024-07-01T00:00:00Z')).time, '2024-07-01T05:30:00+05:30');
+		const brisbane = localTimeIn('Australia/Brisbane', new Date('2024-01-15T00:00:00Z'));
+		assert.equal(brisbane.isDst, false);
+		assert.equal(localTimeIn('America/St_Johns', new Date('2024-01-15T12:00:00Z')).utcOffset, '-03:30');
+	});
+
+	await t.test('returns null for unknown or missing timezones', () => {
+		assert.equal(localTimeIn('Not/A_Zone'), null);
+		assert.equal(localTimeIn(null), null);
+	});
+});
+
+test('great-circle distance', async t => {
+	await t.test('measures distance and initial bearing', () => {
+		const sydneyToLondon = greatCircle({ lat: -33.8688, lon: 151.2093 }, { lat: 51.5074, lon: -0.1278 });
+		assert.ok(Math.abs(sydneyToLondon.km - 16994) < 5, `${sydneyToLondon.km} km`);
+		assert.equal(sydneyToLondon.compass, 'NW');
+		assert.deepEqual(greatCircle({ lat: 0, lon: 0 }, { lat: 0, lon: 1 }), { km: 111.2, miles: 69.1, bearing: 90, compass: 'E' });
+	});
+
+	await t.test('needs coordinates at both ends', () => {
+		assert.equal(greatCircle({ lat: 0, lon: 0 }, { lat: null, lon: null }), null);
+		assert.equal(greatCircle(null, { lat: 0, lon: 0 }), null);
+	});
+});
+
+test('reference point', () => {
+	assert.equal(parseReferencePoint(''), null);
+	assert.deepEqual(parseReferencePoint('-33.87, 151.21', 'Sydney'), { name: 'Sydney', lat: -33.87, lon: 151.21 });
+	for (const value of ['10,', '91,0', '0,181', 'a,b', '1,2,3']) {
+		assert.throws(() => parseReferencePoint(value), /DISTANCE_REFERENCE/, value);
+	}
+});
@@ -0,0 +1,302 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { appConfigFromEnv } = require("../lib/app");
+const { createFakeResolver, dnsError, ipApiSuccess, startApp, startStubIpApi } = require("./helpers");
+
+const ADMIN_API_KEY = 'test-admin-key';
+const { CACHE_TTL } = appConfigFromEnv({});
+
+function lookupTarget(app, target) {
+	return fetch(`${app.baseUrl}/${target}`, { headers: { 'X-API-Key': ADMIN_API_KEY } });
+}
+
+test('reverse DNS caching', async t => {
+	const resolver = createFakeResolver({
+		reverse: {
+			'1.1.1.1': { ptrRecords: [{ name: 'one.one.one.one', a: ['1.1.1.1'], aaaa: [], forwardConfirmed: true }], forwardConfirmed: true },
+			'9.9.9.9': { ptrRecords: [{ name: 'dns9.quad9.net', a: [], aaaa: [], forwardConfirmed: false, error: 'ETIMEOUT' }], forwardConfirmed: false }
+		}
+	});
+	const app = await startApp({ resolver });
+	t.after(() => app.close());
+
+	await t.test('caches confirmed results for the full TTL', async () => {
+		const first = await app.reverseDnsWithCache('1.1.1.1');
+		assert.equal(first.cacheStatus, 'miss');
+		assert.equal(first.result.ptrRecords[0].name, 'one.one.one.one');
+		assert.equal(app.cache.entries.get('dns:1.1.1.1').ttl, CACHE_TTL.DNS);
+
+		const second = await app.reverseDnsWithCache('1.1.1.1');
+		assert.equal(second.cacheStatus, 'hit');
+		assert.deepEqual(second.result, first.result);
+		assert.equal(resolver.calls.reverseLookup, 1);
+	});
+
+	await t.test('keeps results with failed forward lookups only for the negative TTL', async () => {
+		await app.reverseDnsWithCache('9.9.9.9');
+		assert.equal(app.cache.entries.get('dns:9.9.9.9').ttl, CACHE_TTL.NEGATIVE);
+	});
+
+	await t.test('negative-caches addresses without PTR records', async () => {
+		await assert.rejects(app.reverseDnsWithCache('192.88.1.1'), { code: 'ENOTFOUND' });
+		assert.deepEqual(app.cache.entries.get('dns:192.88.1.1'), { value: '{"v":2,"value":null}', ttl: CACHE_TTL.NEGATIVE });
+
+		const callsBefore = resolver.calls.reverseLookup;
+		const cached = await app.reverseDnsWithCache('192.88.1.1');
+		assert.deepEqual(cached, { result: null, cacheStatus: 'negative_hit' });
+		assert.equal(resolver.calls.reverseLookup, callsBefore);
+	});
+
+	await t.test('treats entries from another schema version as a miss', async () => {
+		// Legacy single-PTR value, written before values carried a version
+		await app.cache.set('dns:1.0.0.1', 'one.one.one.one', CACHE_TTL.DNS);
+		await app.cache.set('dns:1.0.0.2', { v: 1, value: { ptrRecords: [] } }, CACHE_TTL.DNS);
+		for (const ip of ['1.0.0.1', '1.0.0.2']) {
+			const result = await app.reverseDnsWithCache(ip).catch(err => err);
+			assert.equal(result.code, 'ENOTFOUND');
+		}
+	});
+});
+
+test('geolocation caching', async t => {
+	const stub = await startStubIpApi(ip => {
+		if (ip === '192.0.0.170') return { body: { status: 'fail', message: 'reserved range', query: ip } };
+		if (ip === '8.8.4.4') return { status: 503, body: {} };
+		if (ip === '8.8.8.8') return { delayMs: 1000, body: ipApiSuccess(ip) };
+		return { body: ipApiSuccess(ip) };
+	});
+	t.after(() => stub.close());
+
+	const app = await startApp({ ipApiUrl: stub.url, geo: { timeoutMs: 200 }, env: { ADMIN_API_KEY } });
+	t.after(() => app.close());
+
+	await t.test('caches successful lookups', async () => {
+		const first = await app.getGeolocationWithCache('1.1.1.1');
+		assert.equal(first.result.city, 'Brisbane');
+		assert.equal(first.result.asn, 13335);
+		assert.equal(app.cache.entries.get('geo:1.1.1.1').ttl, CACHE_TTL.GEO);
+
+		const second = await app.getGeolocationWithCache('1.1.1.1');
+		assert.equal(second.cacheStatus, 'hit');
+		assert.equal(stub.requests.filter(ip => ip === '1.1.1.1').length, 1);
+	});
+
+	await t.test('negative-caches answers the provider rejects', async () => {
+		await assert.rejects(app.getGeolocationWithCache('192.0.0.170'), { transient: false });
+		assert.deepEqual(app.cache.entries.get('geo:192.0.0.170'), { value: '{"v":2,"value":null}', ttl: CACHE_TTL.NEGATIVE });
+
+		const cached = await app.getGeolocationWithCache('192.0.0.170');
+		assert.equal(cached.cacheStatus, 'negative_hit');
+		assert.equal(stub.requests.filter(ip => ip === '192.0.0.170').length, 1);
+	});
+
+	await t.test('does not cache provider errors', async () => {
+		await assert.rejects(app.getGeolocationWithCache('8.8.4.4'), { transient: true });
+		await assert.rejects(app.getGeolocationWithCache('8.8.4.4'), { transient: true });
+		assert.equal(app.cache.entries.has('geo:8.8.4.4'), false);
+		assert.equal(stub.requests.filter(ip => ip === '8.8.4.4').length, 2);
+	});
+
+	await t.test('times out slow providers without caching', async () => {
+		const startTime = Date.now();
+		await assert.rejects(app.getGeolocationWithCache('8.8.8.8'), { transient: true, message: /timeout/ });
+		assert.ok(Date.now() - startTime < 1000, 'lookup should give up before the provider answers');
+		assert.equal(app.cache.entries.has('geo:8.8.8.8'), false);
+	});
+
+	await t.test('still answers /:target when geolocation times out', async () => {
+		const response = await lookupTarget(app, '8.8.8.8');
+		assert.equal(response.status, 200);
+		const body = await response.json();
+		assert.equal(body.ip, '8.8.8.8');
+		assert.equal(body.geolocation, null);
+		assert.equal(body.reverseDns, null);
+	});
+
+	await t.test('skips external lookups for non-global addresses', async () => {
+		const requestsBefore = stub.requests.length;
+		const body = await (await lookupTarget(app, '10.1.2.3')).json();
+		assert.equal(body.classification.category, 'private');
+		assert.equal(body.geolocation, null);
+		assert.equal(stub.requests.length, requestsBefore);
+		assert.equal(app.cache.entries.has('geo:10.1.2.3'), false);
+	});
+});
+
+test('provider circuit breaker', async t => {
+	const stub = await startStubIpApi(ip => ({ delayMs: 500, body: ipApiSuccess(ip) }));
+	t.after(() => stub.close());
+
+	const app = await startApp({
+		ipApiUrl: stub.url,
+		geo: { timeoutMs: 50, breaker: { windowSize: 4, minimumRequests: 2, failureRateThreshold: 0.5, slowCallMs: 1000, openDurationMs: 60000 } }
+	});
+	t.after(() => app.close());
+
+	for (const ip of ['1.0.0.1', '1.0.0.2']) {
+		await assert.rejects(app.getGeolocationWithCache(ip), { transient: true });
+	}
+
+	const requestsBefore = stub.requests.length;
+	await assert.rejects(app.getGeolocationWithCache('1.0.0.3'), { transient: true });
+	assert.equal(stub.requests.length, requestsBefore, 'an open circuit should not call the provider');
+
+	const response = await fetch(`${app.baseUrl}/readyz`);
+	const body = await response.json();
+	assert.equal(response.status, 200);
+	assert.equal(body.status, 'degraded');
+	assert.equal(body.checks.geolocation.status, 'down');
+	assert.equal(body.checks.geolocation.providers[0].circuit.state, 'open');
+});
+
+test('DNS queries', async t => {
+	const resolver = createFakeResolver({
+		records: {
+			'A example.com': { ttl: 120, records: [{ address: '93.184.216.34', ttl: 120 }] },
+			'MX example.com': dnsError('ETIMEOUT')
+		}
+	});
+	const app = await startApp({ resolver, env: { ADMIN_API_KEY } });
+	t.after(() => app.close());
+
+	await t.test('caches answers for their record TTL', async () => {
+		const { answer } = await app.queryDnsWithCache('example.com', 'A');
+		assert.equal(answer.records[0].address, '93.184.216.34');
+		assert.equal(app.cache.entries.get('dnsq:A:example.com').ttl, 120);
+	});
+
+	await t.test('does not cache timeouts', async () => {
+		const { answer } = await app.queryDnsWithCache('example.com', 'MX');
+		assert.equal(answer.error.code, 'ETIMEOUT');
+		assert.equal(app.cache.entries.has('dnsq:MX:example.com'), false);
+	});
+
+	await t.test('negative-caches NXDOMAIN and answers 404', async () => {
+		const response = await lookupTarget(app, 'dns/missing.example?type=A,AAAA');
+		assert.equal(response.status, 404);
+		const body = await response.json();
+		assert.deepEqual(body.answers.map(answer => answer.error.code), ['ENOTFOUND', 'ENOTFOUND']);
+		assert.equal(app.cache.entries.get('dnsq:A:missing.example').ttl, CACHE_TTL.DNS_QUERY_NEGATIVE);
+	});
+});
+
+test('IPv6 addresses', async t => {
+	const stub = await startStubIpApi(ip => ({ body: ipApiSuccess(ip) }));
+	t.after(() => stub.close());
+
+	const app = await startApp({ ipApiUrl: stub.url, env: { ADMIN_API_KEY, CACHE_IPV6_PREFIX: '64' } });
+	t.after(() => app.close());
+
+	await t.test('looks up one canonical form of each address', async () => {
+		const body = await (await lookupTarget(app, '[2606:4700:0:0:0:0:0:1111]')).json();
+		assert.equal(body.ip, '2606:4700::1111');
+		assert.equal(body.family, 6);
+		assert.ok(app.cache.entries.has('dns:2606:4700::1111'));
+
+		const mapped = await (await lookupTarget(app, '::ffff:1.1.1.1')).json();
+		assert.equal(mapped.ip, '1.1.1.1');
+		assert.equal(mapped.family, 4);
+	});
+
+	await t.test('shares geolocation across a /64', async () => {
+		const first = await app.getGeolocationWithCache('2606:4700:1:2::a');
+		const second = await app.getGeolocationWithCache('2606:4700:1:2:ffff::b');
+		assert.equal(first.cacheStatus, 'miss');
+		assert.equal(second.cacheStatus, 'hit');
+		assert.ok(app.cache.entries.has('geo:2606:4700:1:2::/64'));
+		assert.equal(stub.requests.filter(ip => ip.startsWith('2606:4700:1:2:')).length, 1);
+	});
+
+	await t.test('keeps IPv4 per address', async () => {
+		await app.getGeolocationWithCache('1.0.0.1');
+		assert.ok(app.cache.entries.has('geo:1.0.0.1'));
+	});
+});
+
+test('distance and local time', async t => {
+	const stub = await startStubIpApi(ip => {
+		if (ip === '8.8.8.8') return { body: ipApiSuccess(ip, { city: 'Mountain View', lat: 37.386, lon: -122.0838, timezone: 'America/Los_Angeles' }) };
+		if (ip === '8.8.4.4') return { status: 503, body: {} };
+		return { body: ipApiSuccess(ip) };
+	});
+	t.after(() => stub.close());
+
+	const app = await startApp({ ipApiUrl: stub.url, env: { ADMIN_API_KEY, DISTANCE_REFERENCE: '-33.8688,151.2093', DISTANCE_REFERENCE_NAME: 'Sydney' } });
+	t.after(() => app.close());
+
+	const distance = query => fetch(`${app.baseUrl}/distance?${new URLSearchParams(query)}`, { headers: { 'X-API-Key': ADMIN_API_KEY } });
+
+	await t.test('adds local time and distance from the reference point to lookups', async () => {
+		const body = await (await lookupTarget(app, '1.1.1.1')).json();
+		assert.equal(body.localTime.timezone, 'Australia/Brisbane');
+		assert.equal(body.localTime.utcOffset, '+10:00');
+		assert.equal(body.localTime.isDst, false);
+		assert.equal(body.distance.from.name, 'Sydney');
+		assert.ok(body.distance.km > 700 && body.distance.km < 750, `${body.distance.km} km`);
+		assert.equal(body.distance.compass, 'NNE');
+	});
+
+	await t.test('computes the distance between two addresses', async () => {
+		const response = await distance({ from: '1.1.1.1', to: '8.8.8.8' });
+		assert.equal(response.status, 200);
+		const body = await response.json();
+		assert.equal(body.from.geolocation.city, 'Brisbane');
+		assert.equal(body.to.localTime.timezone, 'America/Los_Angeles');
+		assert.ok(body.distance.km > 11000 && body.distance.km < 12000, `${body.distance.km} km`);
+		assert.equal(body.utcOffsetDifferenceMinutes, body.to.localTime.utcOffsetMinutes - 600);
+	});
+
+	await t.test('rejects missing and non-IP endpoints', async () => {
+		for (const query of [{ from: '1.1.1.1' }, { from: 'example.com', to: '1.1.1.1' }]) {
+			const response = await distance(query);
+			assert.equal(response.status, 400);
+			assert.equal((await response.json()).error.code, 'invalid_distance_query');
+		}
+	});
+
+	await t.test('explains which address has no location', async () => {
+		const privateAddress = await distance({ from: '1.1.1.1', to: '10.0.0.1' });
+		assert.equal(privateAddress.status, 422);
+		assert.equal((await privateAddress.json()).error.ip, '10.0.0.1');
+
+		const outage = await distance({ from: '8.8.4.4', to: '1.1.1.1' });
+		assert.equal(outage.status, 503);
+		assert.equal((await outage.json()).error.code, 'geolocation_unavailable');
+	});
+});
+
+test('browser housekeeping paths are not lookup targets', async t => {
+	const app = await startApp();
+	t.after(() => app.close());
+
+	for (const path of ['/favicon.ico', '/robots.txt']) {
+		const response = await fetch(`${app.baseUrl}${path}`);
+		assert.equal(response.status, 404, path);
+		assert.equal(response.headers.get('www-authenticate'), null, path);
+	}
+});
+
+test('hostname targets with many addresses', async t => {
+	const addresses = [
+		...Array.from({ length: 20 }, (_, i) => ({ ip: `1.0.0.${i + 1}`, family: 4 })),
+		{ ip: '2606:4700::1', family: 6 },
+		{ ip: '2606:4700::2', family: 6 }
+	];
+	const resolver = createFakeResolver({ hostnames: { 'many.example.com': addresses, 'one.example.com': addresses.slice(0, 1) } });
+	const app = await startApp({ resolver, env: { ADMIN_API_KEY, TARGET_MAX_ADDRESSES: '4', BATCH_CONCURRENCY: '2' } });
+	t.after(() => app.close());
+
+	await t.test('enriches at most TARGET_MAX_ADDRESSES, from both families', async () => {
+		const body = await (await lookupTarget(app, 'many.example.com')).json();
+		assert.deepEqual(body.addresses.map(entry => entry.ip), ['1.0.0.1', '2606:4700::1', '1.0.0.2', '2606:4700::2']);
+		assert.equal(body.addressCount, 22);
+		assert.equal(body.truncated, true);
+		assert.equal(resolver.calls.reverseLookup, 4);
+	});
+
+	await t.test('reports short lists as complete', async () => {
+		const body = await (await lookupTarget(app, 'one.example.com')).json();
+		assert.equal(body.addressCount, 1);
+		assert.equal(body.truncated, false);
+	});
+});
@@ -0,0 +1,119 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { appConfigFromEnv } = require("../lib/app");
+const { createRateLimiter } = require("../lib/rate-limit");
+const { createFakeResolver, startApp } = require("./helpers");
+
+const ADMIN_API_KEY = 'test-admin-key';
+
+test('rate limit settings', async t => {
+	await t.test('default to 60 per IP and 600 per key', () => {
+		const { RATE_LIMIT } = appConfigFromEnv({});
+		assert.deepEqual(RATE_LIMIT.IP, { capacity: 60, refillPerSecond: 1 });
+		assert.deepEqual(RATE_LIMIT.API_KEY, { capacity: 600, refillPerSecond: 10 });
+		assert.deepEqual(appConfigFromEnv({ RATE_LIMIT_IP_REFILL_PER_SEC: '0.5' }).RATE_LIMIT.IP.refillPerSecond, 0.5);
+	});
+
+	await t.test('reject buckets that never refill or hold no tokens', () => {
+		for (const env of [
+			{ RATE_LIMIT_IP_REFILL_PER_SEC: '0' },
+			{ RATE_LIMIT_KEY_REFILL_PER_SEC: '-1' },
+			{ RATE_LIMIT_IP_REFILL_PER_SEC: 'fast' },
+			{ RATE_LIMIT_IP_CAPACITY: '0' },
+			{ RATE_LIMIT_KEY_CAPACITY: '2.5' }
+		]) {
+			assert.throws(() => appConfigFromEnv(env), new RegExp(Object.keys(env)[0]), JSON.stringify(env));
+		}
+	});
+});
+
+test('rate limiting', async t => {
+	const resolver = createFakeResolver({
+		hostnames: {
+			'three.example': [{ ip: '10.0.0.1', family: 4 }, { ip: '10.0.0.2', family: 4 }, { ip: '10.0.0.3', family: 4 }]
+		}
+	});
+	// Slow refill so the buckets stay where the tests leave them
+	const app = await startApp({
+		resolver,
+		env: {
+			ADMIN_API_KEY,
+			RATE_LIMIT_IP_CAPACITY: '2',
+			RATE_LIMIT_IP_REFILL_PER_SEC: '0.01',
+			RATE_LIMIT_KEY_CAPACITY: '5',
+			RATE_LIMIT_KEY_REFILL_PER_SEC: '0.01'
+		}
+	});
+	t.after(() => app.close());
+	const withKey = { 'X-API-Key': ADMIN_API_KEY };
+
+	await t.test('sends RateLimit headers and a 429 with Retry-After once the bucket is empty', async () => {
+		const first = await fetch(`${app.baseUrl}/headers`);
+		assert.equal(first.status, 200);
+		assert.equal(first.headers.get('ratelimit-limit'), '2');
+		assert.equal(first.headers.get('ratelimit-remaining'), '1');
+		assert.equal(first.headers.get('ratelimit-policy'), '2;w=200');
+
+		assert.equal((await fetch(`${app.baseUrl}/headers`)).headers.get('ratelimit-remaining'), '0');
+
+		const blocked = await fetch(`${app.baseUrl}/headers`);
+		assert.equal(blocked.status, 429);
+		assert.ok(Number(blocked.headers.get('retry-after')) >= 1);
+		assert.equal((await blocked.json()).error.code, 'rate_limited');
+	});
+
+	await t.test('never limits the exempt paths', async () => {
+		for (let i = 0; i < 3; i++) {
+			const response = await fetch(`${app.baseUrl}/health`);
+			assert.equal(response.status, 200);
+			assert.equal(response.headers.get('ratelimit-limit'), null);
+		}
+	});
+
+	await t.test('charges one token per address a request looks up', async () => {
+		const hostname = await fetch(`${app.baseUrl}/three.example`, { headers: withKey });
+		assert.equal(hostname.status, 200);
+		assert.equal(hostname.headers.get('ratelimit-limit'), '5');
+		assert.equal(hostname.headers.get('ratelimit-remaining'), '2');
+
+		// One token on the way in, then two more than the bucket has left
+		const batch = await fetch(`${app.baseUrl}/batch`, {
+			method: 'POST',
+			headers: { ...withKey, 'Content-Type': 'application/json' },
+			body: JSON.stringify(['10.0.0.4', '10.0.0.5', '10.0.0.6'])
+		});
+		assert.equal(batch.status, 429);
+		assert.ok(Number(batch.headers.get('retry-after')) >= 1);
+	});
+});
+
+test('rate limiter storage', async t => {
+	const warnings = [];
+	const logger = { warn: entry => warnings.push(entry) };
+	const bucket = { capacity: 2, refillPerSecond: 1 };
+
+	await t.test('falls back to in-memory buckets when Redis fails', async () => {
+		const redisClient = { isReady: true, eval: async () => { throw new Error('connection lost'); } };
+		const limiter = createRateLimiter({ redisClient, logger, now: () => 1000 });
+
+		const first = await limiter.consume('rate:ip:192.0.2.1', bucket);
+		assert.equal(first.storage, 'memory');
+		assert.equal(first.remaining, 1);
+		assert.equal(warnings[0].event, 'rate_limit_store_error');
+
+		await limiter.consume('rate:ip:192.0.2.1', bucket);
+		const blocked = await limiter.consume('rate:ip:192.0.2.1', bucket);
+		assert.equal(blocked.allowed, false);
+		assert.equal(blocked.retryAfterSeconds, 1);
+	});
+
+	await t.test('refuses a cost the bucket cannot cover without taking any tokens', async () => {
+		let time = 0;
+		const limiter = createRateLimiter({ redisClient: { isReady: false }, logger, now: () => time });
+
+		assert.equal((await limiter.consume('rate:key:a', { ...bucket, cost: 3 })).allowed, false);
+		assert.equal((await limiter.consume('rate:key:a', { ...bucket, cost: 2 })).allowed, true);
+		time += 1000;
+		assert.equal((await limiter.consume('rate:key:a', bucket)).remaining, 0);
+	});
+});
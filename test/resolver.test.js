@@ -0,0 +1,83 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { queryTtl } = require("../lib/dns-ttl");
+const { createResolver } = require("../lib/resolver");
+const { encodeDnsName, startStubDnsServer } = require("./helpers");
+
+test('record TTLs', async t => {
+	const mx = Buffer.concat([Buffer.from([0, 10]), encodeDnsName('mail.example.com')]);
+	const txt = Buffer.concat([Buffer.from([11]), Buffer.from('v=spf1 -all')]);
+	const dns = await startStubDnsServer({
+		'MX example.com': { ttl: 1800, rdata: [mx] },
+		'TXT example.com': { ttl: 120, rdata: [txt] },
+		'A example.com': { ttl: 300, rdata: [Buffer.from([192, 0, 2, 1])] }
+	});
+	t.after(() => dns.close());
+
+	const resolver = createResolver({ servers: [dns.server], timeoutMs: 500, tries: 1 });
+
+	await t.test('come from the answer section for types Node reports without one', async () => {
+		const answer = await resolver.query('example.com', 'MX');
+		assert.equal(answer.ttl, 1800);
+		assert.deepEqual(answer.records, [{ exchange: 'mail.example.com', priority: 10, ttl: 1800 }]);
+		assert.equal((await resolver.query('example.com', 'TXT')).ttl, 120);
+	});
+
+	await t.test('still come from Node for A records', async () => {
+		assert.equal((await resolver.query('example.com', 'A')).ttl, 300);
+	});
+
+	await t.test('fall back to null when the TTL query gets no answer', async () => {
+		// Nothing listens here, so the record query fails too; query() must still settle
+		const silent = createResolver({ servers: ['127.0.0.1:9'], timeoutMs: 200, tries: 1 });
+		await assert.rejects(silent.query('example.com', 'MX'));
+
+		const answer = await resolver.query('example.com', 'NS');
+		assert.equal(answer.ttl, null);
+		assert.deepEqual(answer.records, []);
+	});
+});
+
+test('TTL queries', async t => {
+	const mx = Buffer.concat([Buffer.from([0, 10]), encodeDnsName('mail.example.com')]);
+	const zone = { 'MX example.com': { ttl: 1800, rdata: [mx] } };
+	const servers = {
+		good: await startStubDnsServer(zone),
+		truncating: await startStubDnsServer(zone, { truncate: true }),
+		// SERVFAIL for everything
+		failing: await startStubDnsServer(zone, { transform: reply => Buffer.concat([reply.subarray(0, 3), Buffer.from([0x82]), reply.subarray(4)]) }),
+		// Replies with the QR bit cleared
+		queryEcho: await startStubDnsServer(zone, { transform: reply => Buffer.concat([reply.subarray(0, 2), Buffer.from([reply[2] & 0x7f]), reply.subarray(3)]) }),
+		// Answers as if asked for TXT
+		wrongQuestion: await startStubDnsServer(zone, {
+			transform: reply => {
+				const copy = Buffer.from(reply);
+				copy.writeUInt16BE(16, 12 + encodeDnsName('example.com').length);
+				return copy;
+			}
+		})
+	};
+	t.after(() => Promise.all(Object.values(servers).map(server => server.close())));
+
+	await t.test('retry a truncated UDP reply over TCP', async () => {
+		assert.equal(await queryTtl([servers.truncating.server], 'example.com', 'MX', 500), 1800);
+	});
+
+	await t.test('ignore replies that are not responses to the question asked', async () => {
+		assert.equal(await queryTtl([servers.queryEcho.server], 'example.com', 'MX', 200), null);
+		assert.equal(await queryTtl([servers.wrongQuestion.server], 'example.com', 'MX', 200), null);
+	});
+
+	await t.test('move on to the next server after SERVFAIL, a bad reply or no reply', async () => {
+		const fallbacks = [servers.failing.server, servers.wrongQuestion.server, '127.0.0.1:9', servers.good.server];
+		assert.equal(await queryTtl(fallbacks, 'example.com.', 'MX', 200), 1800);
+	});
+
+	await t.test('stop at NXDOMAIN', async () => {
+		// A server that did know the name is never asked
+		const other = await startStubDnsServer({ 'MX missing.example': { ttl: 60, rdata: [mx] } });
+		t.after(() => other.close());
+		assert.equal(await queryTtl([other.server], 'missing.example', 'MX', 200), 60);
+		assert.equal(await queryTtl([servers.good.server, other.server], 'missing.example', 'MX', 200), null);
+	});
+});
@@ -0,0 +1,64 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const pino = require("pino");
+const { parseUserAgent } = require("../lib/user-agent-parser");
+const { OVERFLOW_MEMBER, createUserAgentStore } = require("../lib/user-agents");
+const { CHROME_UA } = require("./helpers");
+
+const logger = pino({ level: 'silent' });
+const NOW = new Date('2024-06-01T12:00:00Z');
+
+test('user agent store', async t => {
+	await t.test('records through one script that applies the cap', async () => {
+		const calls = [];
+		const redisClient = {
+			isReady: true,
+			eval: async (script, options) => {
+				calls.push(options);
+				return [OVERFLOW_MEMBER, '7', 3];
+			}
+		};
+		const store = createUserAgentStore({ redisClient, logger, parse: parseUserAgent, maxTracked: 2, now: () => NOW });
+
+		assert.deepEqual(await store.record(CHROME_UA), { member: OVERFLOW_MEMBER, count: 7, uniqueUserAgents: 3, storage: 'redis' });
+		assert.deepEqual(calls, [{
+			keys: ['ua:day:2024-06-01', 'ua:day:2024-06-01:total'],
+			arguments: [CHROME_UA, OVERFLOW_MEMBER, '2', String(30 * 24 * 60 * 60)]
+		}]);
+	});
+
+	await t.test("summarises today from the set's size and the total counter", async () => {
+		const redisClient = {
+			isReady: true,
+			zCard: async key => (key === 'ua:day:2024-06-01' ? 42 : 0),
+			get: async key => (key === 'ua:day:2024-06-01:total' ? '1000' : null),
+			zRangeWithScores: async () => assert.fail('summary must not read the members')
+		};
+		const store = createUserAgentStore({ redisClient, logger, parse: parseUserAgent, now: () => NOW });
+
+		assert.deepEqual(await store.todaySummary(), { date: '2024-06-01', uniqueUserAgents: 42, totalRequests: 1000 });
+	});
+
+	await t.test('counts in memory while Redis is down', async () => {
+		const store = createUserAgentStore({ redisClient: { isReady: false }, logger, parse: parseUserAgent, maxTracked: 1, now: () => NOW });
+
+		await store.record(CHROME_UA);
+		await store.record(CHROME_UA);
+		assert.equal((await store.record('curl/8.5.0')).member, OVERFLOW_MEMBER);
+		assert.deepEqual(await store.todaySummary(), { date: '2024-06-01', uniqueUserAgents: 2, totalRequests: 3 });
+	});
+});
+
+test('user agent parser', async t => {
+	await t.test('does not mistake a device name ending in "bot" for a crawler', () => {
+		const parsed = parseUserAgent('Mozilla/5.0 (Linux; Android 10; CUBOT P40) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36');
+		assert.equal(parsed.bot.name, null);
+		assert.equal(parsed.isBrowser, true);
+	});
+
+	await t.test('recognises unlisted crawlers by product token or compatible comment', () => {
+		assert.equal(parseUserAgent('Mozilla/5.0 (compatible; MJ12bot/v1.4.8; http://mj12bot.com/)').bot.name, 'MJ12bot');
+		assert.equal(parseUserAgent('Mozilla/5.0 (compatible; archive.org_bot +http://archive.org/details/archive.org_bot)').bot.name, 'archive.org_bot');
+		assert.equal(parseUserAgent('Sogou web spider/4.0').isBrowser, false);
+	});
+});